@@ -0,0 +1,46 @@
+const crypto = require("crypto")
+const { promisify } = require("util")
+
+// Room access: invite codes for private rooms and password hashing. Only a salted hash of a room password
+// is kept, since rooms may be written to storage. Hashing runs on the libuv threadpool: scrypt is slow on
+// purpose, and done synchronously it would stall every game on the server.
+
+const scrypt = promisify(crypto.scrypt)
+
+// No 0/O or 1/I/L, so codes survive being read out loud
+const INVITE_CODE_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789"
+const INVITE_CODE_LENGTH = 6
+
+function generateInviteCode(isTaken = () => false) {
+  let code
+  do {
+    code = Array.from(
+      crypto.randomBytes(INVITE_CODE_LENGTH),
+      (byte) => INVITE_CODE_ALPHABET[byte % INVITE_CODE_ALPHABET.length],
+    ).join("")
+  } while (isTaken(code))
+  return code
+}
+
+// Invite codes are case-insensitive and may be typed with spaces or dashes
+function normalizeInviteCode(code) {
+  return code.toUpperCase().replace(/[\s-]/g, "")
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex")
+  const hash = (await scrypt(password, salt, 32)).toString("hex")
+  return { salt, hash }
+}
+
+async function checkPassword(password, passwordHash) {
+  const hash = await scrypt(password, passwordHash.salt, 32)
+  return crypto.timingSafeEqual(hash, Buffer.from(passwordHash.hash, "hex"))
+}
+
+module.exports = {
+  generateInviteCode,
+  normalizeInviteCode,
+  hashPassword,
+  checkPassword,
+}
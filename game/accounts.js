@@ -0,0 +1,155 @@
+const crypto = require("crypto")
+const { v4: uuidv4 } = require("uuid")
+const { GAME_MODES } = require("./modes")
+const { hashPassword, checkPassword } = require("./access")
+
+// Player accounts: register/login over REST, a signed token the socket handshake presents, and a profile
+// of lifetime stats kept up to date from the core's game events. Players without a token stay guests.
+
+const USERNAME_PATTERN = /^[A-Za-z0-9_-]{3,20}$/
+const MIN_PASSWORD_LENGTH = 8
+
+function createStats() {
+  const modes = {}
+  Object.values(GAME_MODES).forEach((mode) => {
+    modes[mode] = { wins: 0, losses: 0 }
+  })
+  return { modes, handCounts: {}, highestHit: 0, totalDamage: 0 }
+}
+
+// The hand type played most often; ties go to the one reached first
+function favoriteHand(handCounts) {
+  const types = Object.keys(handCounts)
+  if (types.length === 0) return null
+  return types.reduce((a, b) => (handCounts[b] > handCounts[a] ? b : a))
+}
+
+// What anyone may see of an account
+function toProfile(account) {
+  const { modes, handCounts, highestHit, totalDamage } = account.stats
+  return {
+    id: account.id,
+    username: account.username,
+    createdAt: account.createdAt,
+    stats: {
+      modes,
+      favoriteHand: favoriteHand(handCounts),
+      highestHit,
+      totalDamage,
+    },
+  }
+}
+
+function createAccounts(store, config, events) {
+  // Tokens are `${accountId}.${expiresAt}.${signature}`
+  const secret = config.authSecret || crypto.randomBytes(32).toString("hex")
+
+  function sign(payload) {
+    return crypto.createHmac("sha256", secret).update(payload).digest("hex")
+  }
+
+  function issueToken(account) {
+    const payload = `${account.id}.${Date.now() + config.authTokenTtlMs}`
+    return `${payload}.${sign(payload)}`
+  }
+
+  // The account a token was issued for, or null if it is forged, expired or for a deleted account
+  function verifyToken(token) {
+    if (typeof token !== "string") return null
+
+    const [accountId, expiresAt, signature] = token.split(".")
+    if (!accountId || !expiresAt || !signature) return null
+
+    const expected = Buffer.from(sign(`${accountId}.${expiresAt}`))
+    const given = Buffer.from(signature)
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null
+    if (Number(expiresAt) < Date.now()) return null
+
+    return store.getAccount(accountId) || null
+  }
+
+  // Resolves to null if the username is taken (case-insensitively)
+  async function register(username, password) {
+    if (store.findAccountByUsername(username)) return null
+
+    const passwordHash = await hashPassword(password)
+    // Someone else may have taken the name while the password was hashing
+    if (store.findAccountByUsername(username)) return null
+
+    const account = {
+      id: uuidv4(),
+      username,
+      passwordHash,
+      createdAt: Date.now(),
+      stats: createStats(),
+    }
+    store.saveAccount(account)
+    console.log(`👤 Account registered: ${username}`)
+    return account
+  }
+
+  // Resolves to null unless the credentials match
+  async function login(username, password) {
+    const account = store.findAccountByUsername(username)
+    if (!account || !(await checkPassword(password, account.passwordHash))) return null
+    return account
+  }
+
+  function getProfile(accountId) {
+    const account = store.getAccount(accountId)
+    return account ? toProfile(account) : null
+  }
+
+  // Whether a guest name would pass for a registered player
+  function isUsernameTaken(name) {
+    return !!store.findAccountByUsername(name)
+  }
+
+  function accountFor(player) {
+    return player && player.accountId ? store.getAccount(player.accountId) : null
+  }
+
+  // handResult.damage is what actually landed after predictions, armor and parries
+  events.on("handPlayed", (room, playerIndex, handResult) => {
+    const account = accountFor(room.players[playerIndex])
+    if (!account) return
+
+    const { stats } = account
+    stats.handCounts[handResult.type] = (stats.handCounts[handResult.type] || 0) + 1
+    stats.highestHit = Math.max(stats.highestHit, handResult.damage)
+    stats.totalDamage += handResult.damage
+    store.saveAccount(account)
+  })
+
+  // Teammates of the winner share the win
+  events.on("gameEnded", (room, winner, reason, winners) => {
+    if (!winner) return
+
+    room.players.forEach((player) => {
+      const account = accountFor(player)
+      if (!account) return
+
+      if (!account.stats.modes[room.gameMode]) account.stats.modes[room.gameMode] = { wins: 0, losses: 0 }
+      const record = account.stats.modes[room.gameMode]
+      if (winners.includes(player)) record.wins++
+      else record.losses++
+      store.saveAccount(account)
+    })
+  })
+
+  return {
+    issueToken,
+    verifyToken,
+    register,
+    login,
+    getProfile,
+    isUsernameTaken,
+  }
+}
+
+module.exports = {
+  USERNAME_PATTERN,
+  MIN_PASSWORD_LENGTH,
+  toProfile,
+  createAccounts,
+}
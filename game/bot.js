@@ -0,0 +1,280 @@
+const { EventEmitter } = require("events")
+const { v4: uuidv4 } = require("uuid")
+const { ACTIONS } = require("./modes")
+const { HAND_TYPES, evaluateHand, cardValue } = require("./rules")
+const { projectRoom } = require("./projection")
+const { targetSeats } = require("./seats")
+
+const BOT_DIFFICULTIES = {
+  EASY: "easy",
+  MEDIUM: "medium",
+  HARD: "hard",
+}
+
+// Per-difficulty behaviour: how long the bot "thinks", how many discards it takes per turn, and when it builds armor
+const BOT_PROFILES = {
+  [BOT_DIFFICULTIES.EASY]: { name: "Rookie Bot", thinkTimeMs: 1800, discardsPerTurn: 0, armorHealthRatio: 0 },
+  [BOT_DIFFICULTIES.MEDIUM]: { name: "Dealer Bot", thinkTimeMs: 1400, discardsPerTurn: 1, armorHealthRatio: 0.4 },
+  [BOT_DIFFICULTIES.HARD]: { name: "Shark Bot", thinkTimeMs: 1000, discardsPerTurn: 3, armorHealthRatio: 0.6 },
+}
+
+// Hands weak enough that a bot with discards left will try to improve them first
+const WEAK_HAND_TYPES = [HAND_TYPES.HIGH_CARD, HAND_TYPES.ONE_PAIR]
+
+// A stand-in for a client socket: the core registers its handlers on it and the bot drives them with dispatch()
+function createBotSocket(io, id = `bot-${uuidv4()}`) {
+  const inbound = new EventEmitter()
+
+  return {
+    id,
+    data: { isBot: true },
+    on: (event, handler) => inbound.on(event, handler),
+    emit: () => {}, // Bots read their own projection of the room instead of listening to replies
+    join: () => {},
+    leave: () => {},
+    to: (roomId) => io.to(roomId),
+    dispatch: (event, payload) => inbound.emit(event, payload),
+  }
+}
+
+function combinations(cards, size, start = 0, current = [], result = []) {
+  if (current.length === size) {
+    result.push([...current])
+    return result
+  }
+  for (let i = start; i < cards.length; i++) {
+    current.push(cards[i])
+    combinations(cards, size, i + 1, current, result)
+    current.pop()
+  }
+  return result
+}
+
+// Every legal hand that can be formed from the cards, scored by evaluateHand
+function findPlayableHands(cards, ruleset) {
+  const hands = []
+  ruleset.allowedCardCounts
+    .filter((count) => count <= cards.length)
+    .forEach((count) => {
+      combinations(cards, count).forEach((combo) => {
+        const result = evaluateHand(combo, ruleset)
+        if (result.damage > 0) hands.push({ cards: combo, result })
+      })
+    })
+  return hands
+}
+
+function pickHand(cards, ruleset, difficulty) {
+  const hands = findPlayableHands(cards, ruleset)
+  if (hands.length === 0) return null
+
+  if (difficulty === BOT_DIFFICULTIES.EASY) {
+    return hands[Math.floor(Math.random() * hands.length)]
+  }
+
+  return hands.reduce((best, hand) => (hand.result.damage > best.result.damage ? hand : best))
+}
+
+// Seat a bot in a waiting room. It joins through the normal joinRoom handler, which starts the game.
+function seatBot(core, roomId, difficulty = BOT_DIFFICULTIES.MEDIUM) {
+  if (!BOT_PROFILES[difficulty]) difficulty = BOT_DIFFICULTIES.MEDIUM
+  const profile = BOT_PROFILES[difficulty]
+  const socket = createBotSocket(core.io)
+
+  core.handleConnection(socket)
+  socket.dispatch("setPlayerName", profile.name)
+  // Kept on the seat so a room restored from storage can bring the same bot back
+  core.store.getPlayer(socket.id).botDifficulty = difficulty
+  driveBot(core, socket, roomId, difficulty)
+  socket.dispatch("joinRoom", roomId)
+
+  console.log(`🤖 ${profile.name} (${difficulty}) seated in room ${roomId}`)
+}
+
+// Reattach a bot to its seat in a room restored from storage and let it carry on from the current turn
+function resumeBot(core, room, player) {
+  const socket = createBotSocket(core.io, player.id)
+  core.handleConnection(socket)
+  driveBot(core, socket, room.id, player.botDifficulty).onTurnStarted(room)
+}
+
+// Core events bots react to. Each is emitted with the room first.
+const BOT_EVENTS = ["turnStarted", "handPlayed", "rematchRequested", "roomClosed", "playerKicked"]
+
+// One listener per event for every bot on a core, handing each event to the bots seated in that room, so the
+// core's emitter doesn't gain listeners with every bot seated
+const botsByCore = new WeakMap() // core -> Map(roomId -> Set(bot handlers))
+
+function botsInRooms(core) {
+  if (!botsByCore.has(core)) {
+    const rooms = new Map()
+    BOT_EVENTS.forEach((event) => {
+      core.events.on(event, (room, ...args) => {
+        Array.from(rooms.get(room.id) || []).forEach((bot) => bot[event](room, ...args))
+      })
+    })
+    botsByCore.set(core, rooms)
+  }
+  return botsByCore.get(core)
+}
+
+// Play a seated bot's turns and predictions by reacting to the core's events in its room
+function driveBot(core, socket, roomId, difficulty) {
+  const profile = BOT_PROFILES[difficulty] || BOT_PROFILES[BOT_DIFFICULTIES.MEDIUM]
+  const handTypesBySeat = {} // seat -> hand types that player has played, for predictions
+  let pendingAction = null
+  let discardsThisTurn = 0
+
+  function schedule(action) {
+    clearTimeout(pendingAction)
+    pendingAction = setTimeout(action, profile.thinkTimeMs)
+  }
+
+  function getView() {
+    const room = core.store.getRoom(roomId)
+    if (!room || room.gameState !== "playing") return null
+
+    const view = projectRoom(room, socket.id)
+    const seat = view.players.findIndex((p) => p.id === socket.id)
+    if (seat === -1 || view.players[seat].eliminated) return null
+
+    // Go after whoever is closest to being knocked out
+    const effectiveHealth = (player) => player.health + (player.armor || 0)
+    const targetIndex = targetSeats(room, seat).reduce((best, target) =>
+      effectiveHealth(view.players[target]) < effectiveHealth(view.players[best]) ? target : best,
+    )
+    return { room, view, seat, me: view.players[seat], targetIndex, opponent: view.players[targetIndex] }
+  }
+
+  function selectOnly(cards, hand) {
+    hand.forEach((card) => {
+      if (card.selected !== cards.includes(card)) socket.dispatch("selectCard", { roomId, cardId: card.id })
+    })
+  }
+
+  function tryDiscard(state, chosen, ruleset) {
+    const { me } = state
+    if (discardsThisTurn >= profile.discardsPerTurn || me.discardsUsed >= me.maxDiscards) return false
+    if (!WEAK_HAND_TYPES.includes(chosen.result.type)) return false
+
+    // Throw away the lowest cards that aren't part of the hand we'd otherwise play
+    const toDiscard = me.hand
+      .filter((card) => !chosen.cards.includes(card))
+      .sort((a, b) => cardValue(a, ruleset) - cardValue(b, ruleset))
+      .slice(0, me.maxCardsPerDiscard)
+    if (toDiscard.length === 0) return false
+
+    toDiscard.forEach((card) => socket.dispatch("markForDiscard", { roomId, cardId: card.id }))
+    socket.dispatch("discardCards", { roomId })
+    discardsThisTurn++
+    return true
+  }
+
+  function shouldBuildArmor(state, chosen) {
+    const { room, me, opponent } = state
+    const { actions, armorCap } = core.getModeConfig(room)
+    if (!actions[ACTIONS.BUILD_ARMOR]) return false
+
+    // Never turtle up when the hand in front of us wins the game
+    if (chosen.result.damage >= opponent.health + (opponent.armor || 0)) return false
+
+    if (difficulty === BOT_DIFFICULTIES.EASY) return Math.random() < 0.2
+    return me.health <= me.maxHealth * profile.armorHealthRatio && me.armor < armorCap / 2
+  }
+
+  function takeTurn() {
+    const state = getView()
+    if (!state || state.view.currentPlayer !== state.seat) return
+
+    const { ruleset } = core.getModeConfig(state.room)
+    const chosen = pickHand(state.me.hand, ruleset, difficulty)
+    if (!chosen) return
+
+    if (tryDiscard(state, chosen, ruleset)) {
+      schedule(takeTurn)
+      return
+    }
+
+    selectOnly(chosen.cards, state.me.hand)
+    if (shouldBuildArmor(state, chosen)) socket.dispatch("buildArmor", { roomId })
+    else socket.dispatch("playHand", { roomId, targetIndex: state.targetIndex })
+  }
+
+  function predict() {
+    const state = getView()
+    if (!state || state.view.currentPlayer === state.seat) return
+    if (!core.getModeConfig(state.room).actions[ACTIONS.PREDICT]) return
+    // A teammate's turn is no threat
+    if (!targetSeats(state.room, state.view.currentPlayer).includes(state.seat)) return
+
+    const opponentHandTypes = handTypesBySeat[state.view.currentPlayer] || []
+    let prediction
+    if (difficulty === BOT_DIFFICULTIES.EASY || opponentHandTypes.length === 0) {
+      const types = Object.values(HAND_TYPES)
+      prediction =
+        difficulty === BOT_DIFFICULTIES.EASY ? types[Math.floor(Math.random() * types.length)] : HAND_TYPES.ONE_PAIR
+    } else if (difficulty === BOT_DIFFICULTIES.MEDIUM) {
+      prediction = opponentHandTypes[opponentHandTypes.length - 1]
+    } else {
+      // Guess the hand type this opponent has played most often
+      const counts = {}
+      opponentHandTypes.forEach((type) => (counts[type] = (counts[type] || 0) + 1))
+      prediction = Object.keys(counts).reduce((a, b) => (counts[b] > counts[a] ? b : a))
+    }
+
+    socket.dispatch("makePrediction", { roomId, prediction })
+  }
+
+  function onTurnStarted(room) {
+    const seat = room.players.findIndex((p) => p.id === socket.id)
+    discardsThisTurn = 0
+    schedule(room.currentPlayer === seat ? takeTurn : predict)
+  }
+
+  function onHandPlayed(room, playerIndex, handResult) {
+    if (room.players[playerIndex].id === socket.id) return
+    if (!handTypesBySeat[playerIndex]) handTypesBySeat[playerIndex] = []
+    handTypesBySeat[playerIndex].push(handResult.type)
+  }
+
+  function onRematchRequested() {
+    schedule(() => socket.dispatch("acceptRematch", { roomId }))
+  }
+
+  function onRoomClosed() {
+    detach()
+  }
+
+  function onPlayerKicked(room, player) {
+    if (player.id === socket.id) detach()
+  }
+
+  const handlers = {
+    turnStarted: onTurnStarted,
+    handPlayed: onHandPlayed,
+    rematchRequested: onRematchRequested,
+    roomClosed: onRoomClosed,
+    playerKicked: onPlayerKicked,
+  }
+  const rooms = botsInRooms(core)
+
+  function detach() {
+    clearTimeout(pendingAction)
+    const bots = rooms.get(roomId)
+    if (!bots) return
+    bots.delete(handlers)
+    if (bots.size === 0) rooms.delete(roomId)
+  }
+
+  if (!rooms.has(roomId)) rooms.set(roomId, new Set())
+  rooms.get(roomId).add(handlers)
+
+  return { onTurnStarted }
+}
+
+module.exports = {
+  BOT_DIFFICULTIES,
+  seatBot,
+  resumeBot,
+  pickHand,
+}
@@ -0,0 +1,42 @@
+const { createModeTable } = require("./modes")
+const { generateSeed } = require("./random")
+const { resolveRateLimits } = require("./rateLimit")
+
+// Settings a deployment target may override when mounting the game server
+const DEFAULT_CONFIG = {
+  // Origins allowed to open sockets and call the HTTP API
+  allowedOrigins: "*",
+  // How long a dropped player keeps their seat before being removed from the room
+  reconnectGracePeriodMs: Number(process.env.RECONNECT_GRACE_PERIOD_MS) || 30000,
+  // Per-mode overrides merged over GAME_MODE_CONFIG, e.g. { recycling: { startingHealth: 150, deck: { jokers: 2 } } }
+  modes: {},
+  // JSON file that rooms are saved to so games in progress survive a restart; storage is in-memory when unset
+  storageFile: process.env.STORAGE_FILE || null,
+  // Key that signs account tokens. Without one a random key is made at startup, so logins end with the process.
+  authSecret: process.env.AUTH_SECRET || null,
+  // How long an account token from register/login stays valid
+  authTokenTtlMs: 30 * 24 * 60 * 60 * 1000,
+  // Bearer token for the /admin routes, which are switched off without one
+  adminToken: process.env.ADMIN_TOKEN || null,
+  // Per-event token buckets for each socket and each client IP, and per-route ones for HTTP, merged over
+  // DEFAULT_RATE_LIMITS
+  rateLimits: {},
+  // Rooms one player may have open at a time through createRoom
+  maxRoomsPerPlayer: 2,
+  // Idle limits per room state, merged over DEFAULT_ROOM_TTLS in game/sweeper.js
+  roomTtls: {},
+  // How long a rematch request waits for the other seat before it lapses
+  rematchTimeoutMs: 30000,
+  // Source of each match's shuffle seed; tests can pin it to reproduce a deal
+  generateSeed,
+}
+
+function resolveConfig(overrides = {}) {
+  const config = { ...DEFAULT_CONFIG, ...overrides }
+  return { ...config, modes: createModeTable(config.modes), rateLimits: resolveRateLimits(config.rateLimits) }
+}
+
+module.exports = {
+  DEFAULT_CONFIG,
+  resolveConfig,
+}
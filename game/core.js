@@ -0,0 +1,1451 @@
+const { EventEmitter } = require("events")
+const { v4: uuidv4 } = require("uuid")
+const { GAME_MODES, ACTIONS, applyRuleOverrides, pickRuleOverrides, checkRules } = require("./modes")
+const { cardValue, classifyHand } = require("./rules")
+const { createDeck, deckForTable } = require("./deck")
+const { hashSeed, seedState, createRandom } = require("./random")
+const engine = require("./engine")
+const { createMatchLog, appendEntry, closeMatchLog } = require("./matchLog")
+const { projectPlayer, projectPlayers, projectRoom } = require("./projection")
+const { predictionOdds } = require("./odds")
+const { generateInviteCode, normalizeInviteCode, hashPassword, checkPassword } = require("./access")
+const { ERROR_CODES, validatePayload, ok, fail } = require("./protocol")
+const { seatBot, resumeBot } = require("./bot")
+const { createRatingTable } = require("./ratings")
+const { createMatchmaker } = require("./matchmaking")
+const { createTournamentManager } = require("./tournaments")
+const { createStore } = require("./storage")
+const { createMetrics } = require("./metrics")
+const { createRateLimiter } = require("./rateLimit")
+const { createRoomSweeper } = require("./sweeper")
+const { createAccounts } = require("./accounts")
+const { MAX_SERIES_LENGTH, createSeries, nextStarter, recordSeriesGame } = require("./series")
+const { MIN_PLAYERS, MAX_PLAYERS, TEAM_ROOM_SIZE, sideOf, sideCount, nextActiveSeat, targetSeats } = require("./seats")
+
+// Pause between a room filling up and its game starting
+const GAME_START_DELAY_MS = 2000
+
+// Turn clock defaults, overridable per room at createRoom (a limit of 0 disables the clock)
+const DEFAULT_TURN_TIME_LIMIT_SECONDS = 60
+const MAX_TURN_TIME_LIMIT_SECONDS = 600
+const DEFAULT_MAX_CONSECUTIVE_TIMEOUTS = 3
+const TURN_TIMER_TICK_MS = 1000
+
+// Finished match logs are kept in memory for replay downloads, oldest dropped first
+const MAX_STORED_MATCHES = 500
+
+// Read a numeric client option, falling back to the default when it is missing or malformed
+function clampOption(value, min, max, fallback) {
+  if (typeof value !== "number" || !Number.isFinite(value)) return fallback
+  return Math.min(max, Math.max(min, Math.floor(value)))
+}
+
+// Game core: room lifecycle and socket handlers, mounted on a Socket.IO server by each deployment target
+function createGameCore(io, config) {
+  // Game state: rooms and players go through the storage adapter, timers stay in this process
+  const store = createStore(config)
+  const sessions = new Map() // sessionToken -> { token, player, disconnectTimer }
+  const turnTimers = new Map() // roomId -> turn clock interval
+  const rematchTimers = new Map() // roomId -> timeout that lapses a pending rematch request
+  const startTimers = new Map() // roomId -> timeout that starts the game once the room is full
+  const matchLogs = new Map() // matchId -> match log, outlives the room so finished games can be replayed
+  const oddsCache = new Map() // roomId -> { turn, bySeat } prediction odds already worked out this turn
+  const ratings = createRatingTable(store)
+
+  // Server-side notifications (turnStarted, gameEnded, ...) for subsystems such as bots
+  const events = new EventEmitter()
+  const accounts = createAccounts(store, config, events)
+  const metrics = createMetrics()
+  const rateLimiter = createRateLimiter(config.rateLimits)
+
+  // Who a player is beyond one socket: the account if signed in, otherwise the session. Rooms count against it
+  // for maxRoomsPerPlayer, and kicks are keyed by it.
+  function playerKey(player) {
+    if (player.accountId) return `account:${player.accountId}`
+    return player.sessionToken || player.id
+  }
+
+  // Lifecycle timestamp the sweeper measures idleness from
+  function touch(room) {
+    room.lastActivityAt = Date.now()
+  }
+
+  // A room's effective rules: its mode's config with any overrides the host chose at createRoom
+  function getModeConfig(room) {
+    return room.rules || config.modes[room.gameMode] || config.modes[GAME_MODES.CLASSIC]
+  }
+
+  function findRoomByInviteCode(code) {
+    const inviteCode = normalizeInviteCode(code)
+    return store.listRooms().find((room) => room.inviteCode === inviteCode)
+  }
+
+  // Emit an event to each seated player with a payload built for their own view.
+  // Spectators share the public view, which is what a viewer with no seat (null) sees.
+  function emitToRoom(room, event, buildPayload) {
+    room.players
+      .filter((player) => !player.vacated)
+      .forEach((player) => {
+        io.to(player.id).emit(event, buildPayload(player.id))
+      })
+
+    if (room.spectators && room.spectators.length > 0) {
+      const publicPayload = buildPayload(null)
+      room.spectators.forEach((spectator) => io.to(spectator.id).emit(event, publicPayload))
+    }
+  }
+
+  function emitSpectatorsUpdated(room) {
+    io.to(room.id).emit("spectatorsUpdated", { roomId: room.id, spectatorCount: room.spectators.length })
+    io.emit("roomsUpdated")
+  }
+
+  function stopSpectating(player, reason) {
+    const room = store.getRoom(player.spectatingRoomId)
+    player.spectatingRoomId = null
+    if (!room) return
+
+    room.spectators = room.spectators.filter((s) => s !== player)
+    io.sockets.sockets.get(player.id)?.leave(room.id)
+    io.to(player.id).emit("spectatingEnded", { roomId: room.id, reason })
+    emitSpectatorsUpdated(room)
+  }
+
+  // Remove a player from their room, deleting the room if it is now empty
+  function removePlayerFromRoom(player) {
+    const roomId = player.roomId
+    const room = store.getRoom(roomId)
+    player.roomId = null
+    if (!room) return
+
+    if (room.gameState === "playing" && room.players.length > MIN_PLAYERS) {
+      vacateSeat(room, player)
+      return
+    }
+    // Leaving a two-player game forfeits it to whoever stays, then the seat empties as usual
+    if (room.gameState === "playing") forfeitSeat(room, room.players.indexOf(player), "left")
+
+    room.players = room.players.filter((p) => p !== player)
+    clearTurnTimer(room)
+    cancelScheduledStart(room)
+    touch(room)
+    cancelRematch(room, "playerLeft")
+
+    // Whoever takes the empty seat starts a fresh series
+    room.series = createSeries(room.series.bestOf, room.series.wins.length)
+    events.emit("playerLeft", room, player)
+
+    // A room left with only bots has nobody to play for
+    if (room.players.every((p) => p.isBot)) {
+      room.players.forEach((bot) => store.deletePlayer(bot.id))
+      room.players = []
+    }
+
+    if (room.players.length === 0) {
+      room.spectators.forEach((spectator) => stopSpectating(spectator, "roomClosed"))
+      store.deleteRoom(roomId)
+      oddsCache.delete(roomId)
+      events.emit("roomClosed", room)
+    } else {
+      store.saveRoom(room)
+      io.to(roomId).emit("playerLeft", { playerId: player.id })
+    }
+
+    io.emit("roomsUpdated")
+  }
+
+  // Leaving a game of three or more forfeits the seat and the others play on. The seat stays behind as a
+  // detached copy so seat numbers don't shift under the match log, and is cleared out when the game ends.
+  function vacateSeat(room, player) {
+    const seat = room.players.indexOf(player)
+    room.players[seat] = { ...player, roomId: null, connected: false, vacated: true }
+    touch(room)
+    store.saveRoom(room)
+    events.emit("playerLeft", room, player)
+    io.to(room.id).emit("playerLeft", { playerId: player.id })
+    io.emit("roomsUpdated")
+
+    if (room.players.every((p) => p.vacated || p.isBot)) {
+      closeRoom(room, "abandoned")
+      return
+    }
+    if (!room.players[seat].eliminated) forfeitSeat(room, seat, "left")
+  }
+
+  // Take a seat out of the game for timing out or leaving, ending the game if only one side is left in
+  function forfeitSeat(room, seat, reason) {
+    const outcome = recordAction(room, "seatForfeited", { playerIndex: seat, reason }, () =>
+      engine.forfeitSeat(room, seat),
+    )
+    if (!outcome) return
+
+    io.to(room.id).emit("playerEliminated", { playerIndex: seat, reason })
+    if (outcome.winnerIndex !== null) {
+      endGame(room, room.players[outcome.winnerIndex], reason)
+      return
+    }
+
+    if (outcome.turnPassed) beginTurn(room)
+    emitToRoom(room, "gameStateUpdate", (viewerId) => ({
+      players: projectPlayers(room, viewerId),
+      currentPlayer: room.currentPlayer,
+      turn: room.turn,
+      deckSize: room.deck.length,
+    }))
+  }
+
+  // Remove a player from a room for good: they are told why and may not rejoin it
+  function kickFromRoom(room, target) {
+    room.kickedPlayers.push(playerKey(target))
+    io.sockets.sockets.get(target.id)?.leave(room.id)
+    io.to(target.id).emit("kicked", { roomId: room.id, roomName: room.name })
+    events.emit("playerKicked", room, target)
+    removePlayerFromRoom(target)
+    if (target.isBot) store.deletePlayer(target.id)
+  }
+
+  // Shut a room down with everyone in it: a game in progress ends as a no-contest and every seat is emptied
+  function closeRoom(room, reason) {
+    events.emit("roomClosing", room, reason)
+    if (room.gameState === "playing") endGame(room, null, reason)
+    cancelRematch(room, reason)
+
+    io.to(room.id).emit("roomClosed", { roomId: room.id, reason })
+    room.players.slice().forEach((player) => {
+      io.sockets.sockets.get(player.id)?.leave(room.id)
+      removePlayerFromRoom(player)
+      if (player.isBot) store.deletePlayer(player.id)
+    })
+  }
+
+  // Run a game action against the room with the match's seeded random source and append it to the
+  // match log. Replaying the log from the revealed seed draws the same values in the same order.
+  // Returns null without touching the room if another action already moved it past this turn. The store holds
+  // this same room object, so the action mutates it in place.
+  function recordAction(room, type, data, apply) {
+    const update = store.updateTurn(room.id, room.turn, () => apply(createRandom(room.rngState)))
+    if (!update.applied) {
+      console.log(`⚠️ Ignoring stale ${type} in room ${room.id}`)
+      return null
+    }
+
+    const log = matchLogs.get(room.matchId)
+    if (log) appendEntry(log, type, data)
+    touch(room)
+    return update.result
+  }
+
+  // Create a waiting room with the host in the first seat. Used by createRoom and by matchmaking.
+  function openRoom(host, options) {
+    const {
+      roomName,
+      gameMode = GAME_MODES.CLASSIC,
+      turnTimeLimit,
+      maxConsecutiveTimeouts,
+      allowSpectators = true,
+      lockPredictions = true,
+      isPrivate = false,
+      passwordHash = null,
+      ranked = false,
+      bestOf,
+      tournament = null,
+      rules = {},
+      maxPlayers = MIN_PLAYERS,
+      teams = false,
+    } = options
+
+    const room = {
+      id: uuidv4(),
+      name: roomName,
+      gameMode: gameMode,
+      rules: applyRuleOverrides(getModeConfig({ gameMode }), rules),
+      players: [host],
+      // Seats to fill before the game starts; a team room always has four, playing two against two
+      maxPlayers: teams ? TEAM_ROOM_SIZE : clampOption(maxPlayers, MIN_PLAYERS, MAX_PLAYERS, MIN_PLAYERS),
+      teams: !!teams,
+      gameState: "waiting",
+      currentPlayer: 0,
+      turn: 1,
+      deck: [],
+      lastPlayedHand: null,
+      turnTimeLimitMs:
+        clampOption(turnTimeLimit, 0, MAX_TURN_TIME_LIMIT_SECONDS, DEFAULT_TURN_TIME_LIMIT_SECONDS) * 1000,
+      turnDeadline: null,
+      createdAt: Date.now(),
+      startedAt: null,
+      endedAt: null,
+      lastActivityAt: Date.now(),
+      maxConsecutiveTimeouts: clampOption(maxConsecutiveTimeouts, 1, 10, DEFAULT_MAX_CONSECUTIVE_TIMEOUTS),
+      allowSpectators: allowSpectators !== false,
+      spectators: [],
+      // Tactical: close predictions for the turn as soon as the current player selects a card
+      lockPredictions: lockPredictions !== false,
+      predictionsLocked: false,
+      // Private rooms are left out of roomsList and can only be joined with the invite code
+      isPrivate: !!isPrivate,
+      inviteCode: generateInviteCode((code) => !!findRoomByInviteCode(code)),
+      passwordHash,
+      // playerKey of each player the host kicked, who may not rejoin
+      kickedPlayers: [],
+      createdBy: playerKey(host),
+      // Games in rooms made by the matchmaking queue update ratings
+      ranked,
+      // Score across rematches, and the seat waiting on the other to accept one ({ requesterIndex, expiresAt })
+      series: null,
+      rematch: null,
+      // Set on rooms a tournament opened for one of its matches: { id, matchId }
+      tournament,
+    }
+
+    room.series = createSeries(clampOption(bestOf, 1, MAX_SERIES_LENGTH, 1), sideCount(room))
+
+    if (host.spectatingRoomId) {
+      stopSpectating(host, "joinedRoom")
+    }
+
+    host.roomId = room.id
+    store.saveRoom(room)
+
+    console.log(`Room ${room.name} (${room.id}) created by ${host.name} - Mode: ${room.gameMode}`)
+    return room
+  }
+
+  // Take the next free seat in a room
+  function seatPlayer(room, player) {
+    if (player.spectatingRoomId) {
+      stopSpectating(player, "joinedRoom")
+    }
+
+    room.players.push(player)
+    player.roomId = room.id
+    touch(room)
+    store.saveRoom(room)
+  }
+
+  // Start the game after a short pause, unless the seats change in the meantime
+  function scheduleStart(room) {
+    cancelScheduledStart(room)
+    startTimers.set(
+      room.id,
+      setTimeout(() => {
+        startTimers.delete(room.id)
+        startGame(room.id)
+      }, GAME_START_DELAY_MS),
+    )
+  }
+
+  function cancelScheduledStart(room) {
+    clearTimeout(startTimers.get(room.id))
+    startTimers.delete(room.id)
+  }
+
+  // Seed, shuffle a new deck, open a match log for it and deal. Used for the first game and every rematch.
+  // Only the seed's hash is public until the game ends. Within a series the seats alternate going first.
+  function startMatch(room) {
+    if (room.series.winnerIndex !== null) room.series = createSeries(room.series.bestOf, room.series.wins.length)
+    const startingPlayer = nextStarter(room.series, room.players.length)
+
+    const seed = config.generateSeed()
+    room.seed = seed
+    room.seedHash = hashSeed(seed)
+    room.rngState = seedState(seed)
+
+    const modeConfig = getModeConfig(room)
+    const deck = createDeck(
+      createRandom(room.rngState),
+      deckForTable(modeConfig.deck, room.players.length, modeConfig.handSize),
+    )
+
+    room.matchId = uuidv4()
+    matchLogs.set(room.matchId, createMatchLog(room.matchId, room, deck, modeConfig))
+    if (matchLogs.size > MAX_STORED_MATCHES) {
+      matchLogs.delete(matchLogs.keys().next().value)
+    }
+
+    recordAction(room, "gameStarted", { startingPlayer }, (random) =>
+      engine.dealGame(room, deck, modeConfig, random, startingPlayer),
+    )
+    room.series.lastStarter = room.currentPlayer
+    room.startedAt = Date.now()
+    room.endedAt = null
+    store.saveRoom(room)
+    metrics.increment("demhan_games_started_total", { gameMode: room.gameMode })
+  }
+
+  // Resolve the current player's selected cards as an attack on a target seat, by default the next opponent
+  function resolvePlayedHand(room, playerIndex, hand, targetIndex = null) {
+    const currentPlayer = room.players[playerIndex]
+    const cardIds = currentPlayer.selectedCards.map((c) => c.id)
+
+    const outcome = recordAction(room, "playHand", { playerIndex, cardIds, targetIndex }, (random) =>
+      engine.playHand(room, playerIndex, hand, random, targetIndex),
+    )
+    if (!outcome) return
+
+    const { handResult, damagePipeline, parry, eliminated, winnerIndex } = outcome
+    events.emit("handPlayed", room, playerIndex, handResult)
+
+    if (parry) {
+      io.to(room.id).emit("parryRevealed", parry)
+    }
+    eliminated.forEach((seat) => io.to(room.id).emit("playerEliminated", { playerIndex: seat, reason: "knockout" }))
+
+    // damagePipeline lists each step (base, prediction, armor, parry) with the damage left after it
+    const played = (viewerId) => ({
+      playerIndex,
+      targetIndex: outcome.targetIndex,
+      eliminated,
+      handResult,
+      damagePipeline,
+      parry,
+      deckSize: room.deck.length,
+      players: projectPlayers(room, viewerId),
+    })
+
+    // Check for game over: one side left standing, possibly the attacker's knocked out by a parry. The final
+    // blow is still reported, just without a next turn.
+    if (winnerIndex !== null) {
+      emitToRoom(room, "handPlayed", played)
+      endGame(room, room.players[winnerIndex], "knockout")
+      return
+    }
+
+    beginTurn(room)
+    emitToRoom(room, "handPlayed", (viewerId) => ({
+      ...played(viewerId),
+      newCurrentPlayer: room.currentPlayer,
+      turn: room.turn,
+    }))
+  }
+
+  function beginTurn(room) {
+    room.predictionsLocked = false
+    startTurnTimer(room)
+    events.emit("turnStarted", room)
+  }
+
+  // A null winner ends the game as a no-contest, which counts toward no series, rating or profile.
+  // In a team room the winner's teammates share the win and are listed with it in `winners`.
+  function endGame(room, winner, reason) {
+    const winnerIndex = winner ? room.players.indexOf(winner) : null
+    const winningSide = winner ? sideOf(room, winnerIndex) : null
+    const winners = room.players.filter((_, seat) => winner && sideOf(room, seat) === winningSide)
+
+    recordAction(room, "gameEnded", { winnerIndex, reason }, () => engine.finishGame(room))
+    const log = matchLogs.get(room.matchId)
+    if (log) closeMatchLog(log)
+    clearTurnTimer(room)
+    if (winner) recordSeriesGame(room.series, winningSide)
+    room.endedAt = Date.now()
+    store.saveRoom(room)
+    metrics.increment("demhan_games_finished_total", { gameMode: room.gameMode, reason })
+    metrics.observeGameLength(room.turn)
+    events.emit("gameEnded", room, winner, reason, winners)
+
+    emitToRoom(room, "gameEnded", (viewerId) => ({
+      winner: winner ? projectPlayer(room, winner, viewerId) : null,
+      winners: winners.map((player) => projectPlayer(room, player, viewerId)),
+      winningTeam: room.teams ? winningSide : undefined,
+      handResult: room.lastPlayedHand,
+      reason,
+      seed: room.seed,
+      seedHash: room.seedHash,
+      room: projectRoom(room, viewerId),
+    }))
+
+    // Seats left mid-game were only kept for the result
+    if (room.players.some((p) => p.vacated)) {
+      room.players = room.players.filter((p) => !p.vacated)
+      store.saveRoom(room)
+      io.emit("roomsUpdated")
+    }
+  }
+
+  // Drop a pending rematch request and tell the room why: declined, timeout or playerLeft
+  function cancelRematch(room, reason) {
+    clearTimeout(rematchTimers.get(room.id))
+    rematchTimers.delete(room.id)
+    if (!room.rematch) return
+
+    room.rematch = null
+    store.saveRoom(room)
+    io.to(room.id).emit("rematchDeclined", { reason })
+  }
+
+  // Turn clock: ticks once a second and acts on the current player's behalf when it runs out
+  function startTurnTimer(room) {
+    clearTurnTimer(room)
+    if (!room.turnTimeLimitMs || room.gameState !== "playing") return
+
+    room.turnDeadline = Date.now() + room.turnTimeLimitMs
+
+    const interval = setInterval(() => {
+      const remainingMs = Math.max(0, room.turnDeadline - Date.now())
+
+      if (remainingMs === 0) {
+        clearTurnTimer(room)
+        handleTurnTimeout(room)
+        return
+      }
+
+      io.to(room.id).emit("turnTimerTick", { currentPlayer: room.currentPlayer, turn: room.turn, remainingMs })
+    }, TURN_TIMER_TICK_MS)
+
+    turnTimers.set(room.id, interval)
+  }
+
+  function clearTurnTimer(room) {
+    clearInterval(turnTimers.get(room.id))
+    turnTimers.delete(room.id)
+    room.turnDeadline = null
+  }
+
+  function handleTurnTimeout(room) {
+    const playerIndex = room.currentPlayer
+    const player = room.players[playerIndex]
+    if (!player || room.gameState !== "playing") return
+
+    player.consecutiveTimeouts = (player.consecutiveTimeouts || 0) + 1
+    console.log(`⏰ ${player.name} timed out (${player.consecutiveTimeouts}/${room.maxConsecutiveTimeouts})`)
+
+    if (player.consecutiveTimeouts >= room.maxConsecutiveTimeouts) {
+      io.to(room.id).emit("turnTimedOut", {
+        playerIndex,
+        consecutiveTimeouts: player.consecutiveTimeouts,
+        action: "forfeit",
+      })
+      forfeitSeat(room, playerIndex, "timeout")
+      return
+    }
+
+    // Auto-play the highest single card, or skip the turn if the hand is empty
+    const { ruleset } = getModeConfig(room)
+    const highestCard = player.hand.reduce(
+      (best, card) => (!best || cardValue(card, ruleset) > cardValue(best, ruleset) ? card : best),
+      null,
+    )
+
+    if (!highestCard) {
+      recordAction(room, "turnSkipped", { playerIndex }, () => engine.advanceTurn(room))
+      beginTurn(room)
+      io.to(room.id).emit("turnTimedOut", {
+        playerIndex,
+        consecutiveTimeouts: player.consecutiveTimeouts,
+        action: "skip",
+        newCurrentPlayer: room.currentPlayer,
+        turn: room.turn,
+      })
+      return
+    }
+
+    io.to(room.id).emit("turnTimedOut", {
+      playerIndex,
+      consecutiveTimeouts: player.consecutiveTimeouts,
+      action: "autoPlay",
+    })
+
+    player.hand.forEach((card) => {
+      card.selected = card === highestCard
+      card.markedForDiscard = false
+    })
+    player.selectedCards = [highestCard]
+
+    resolvePlayedHand(room, playerIndex, classifyHand(player.selectedCards, ruleset))
+  }
+
+  // Start game function
+  function startGame(roomId) {
+    const room = store.getRoom(roomId)
+    if (!room || room.players.length !== room.maxPlayers) {
+      console.log("❌ Cannot start game - invalid room or not enough players")
+      return
+    }
+    if (room.gameState === "playing") {
+      console.log(`⚠️ Game already in progress in room ${roomId}`)
+      return
+    }
+    cancelScheduledStart(room)
+
+    console.log(`🎮 Starting ${room.gameMode} game in room ${roomId}`)
+
+    startMatch(room)
+
+    console.log("✅ Game started, emitting to room:", roomId)
+
+    beginTurn(room)
+    emitToRoom(room, "gameStarted", (viewerId) => ({ room: projectRoom(room, viewerId) }))
+
+    console.log("🎯 Game initialization complete")
+  }
+
+  // Socket.IO connection handling. Bots are seated through the same handlers with a stand-in socket.
+  function handleConnection(socket) {
+    console.log("User connected:", socket.id)
+
+    // Bots skip rate limiting: they are never attached to the limiter
+    if (!socket.data.isBot) rateLimiter.attach(socket.id, socket.handshake.address)
+
+    // Register a handler that only runs on a payload matching its schema and within the event's rate limit.
+    // Its ok()/fail() result goes back through the ack callback; without one, a failure that names a legacy
+    // event is emitted there instead. A handler that waits on password hashing returns a promise of its result.
+    // A socket that keeps hitting the limit is disconnected.
+    function on(event, handler) {
+      socket.on(event, (payload, ack) => {
+        if (typeof payload === "function") {
+          ack = payload
+          payload = undefined
+        }
+
+        const startedAt = performance.now()
+        const limit = rateLimiter.consume(socket.id, event)
+        let result
+        if (!limit.allowed) {
+          metrics.increment("demhan_rate_limited_total", { event })
+          result = fail(ERROR_CODES.RATE_LIMITED, `Too many ${event} requests, slow down`, "error")
+        } else {
+          const problem = validatePayload(event, payload)
+          result = problem ? fail(ERROR_CODES.INVALID_PAYLOAD, problem) : handler(payload)
+        }
+
+        const respond = (settled = ok()) => {
+          const { legacyEvent, ...response } = settled
+          metrics.observeHandler(event, performance.now() - startedAt)
+
+          if (typeof ack === "function") ack(response)
+          else if (legacyEvent) socket.emit(legacyEvent, response.message)
+        }
+        if (result instanceof Promise) result.then(respond)
+        else respond(result)
+
+        if (limit.abusive) {
+          console.log(`🚫 Disconnecting ${socket.id} (${socket.handshake.address}) for flooding ${event}`)
+          socket.disconnect(true)
+        }
+      })
+    }
+
+    // Find the room and the caller's player record, failing unless they are seated in it
+    function findRoomMember(roomId) {
+      const room = store.getRoom(roomId)
+      const player = store.getPlayer(socket.id)
+      if (!room) return { failure: fail(ERROR_CODES.ROOM_NOT_FOUND, "Room not found") }
+      if (!player) return { failure: fail(ERROR_CODES.PLAYER_NOT_FOUND, "Player not found") }
+      if (!room.players.includes(player)) return { failure: fail(ERROR_CODES.NOT_IN_ROOM, "You are not in this room") }
+      return { room, player }
+    }
+
+    // Find the caller's seat for an in-game action: the room must exist, seat this socket, have a game in
+    // progress and, if an action is given, have it switched on. Returns { room, playerIndex } or { failure }.
+    function findGameSeat(roomId, action) {
+      const room = store.getRoom(roomId)
+      if (!room) return { failure: fail(ERROR_CODES.ROOM_NOT_FOUND, "Room not found") }
+      if (!store.getPlayer(socket.id)) return { failure: fail(ERROR_CODES.PLAYER_NOT_FOUND, "Player not found") }
+
+      const playerIndex = room.players.findIndex((p) => p.id === socket.id)
+      if (playerIndex === -1) return { failure: fail(ERROR_CODES.NOT_IN_ROOM, "You are not playing in this room") }
+
+      if (action && !getModeConfig(room).actions[action]) {
+        return { failure: fail(ERROR_CODES.ACTION_DISABLED, `${action} is not enabled in this room`) }
+      }
+      if (room.gameState !== "playing") {
+        return { failure: fail(ERROR_CODES.GAME_NOT_IN_PROGRESS, "No game in progress") }
+      }
+      if (room.players[playerIndex].eliminated) {
+        return { failure: fail(ERROR_CODES.ELIMINATED, "You are out of this game") }
+      }
+
+      return { room, playerIndex }
+    }
+
+    on("setPlayerName", (name) => {
+      // Signed-in players always play under their username; guests can't pass for a registered one
+      const account = socket.data.accountId ? store.getAccount(socket.data.accountId) : null
+      if (account) {
+        name = account.username
+      } else if (!socket.data.isBot && accounts.isUsernameTaken(name)) {
+        return fail(ERROR_CODES.NAME_TAKEN, "That name belongs to a registered player", "error")
+      }
+
+      let player = store.getPlayer(socket.id)
+      if (player) {
+        player.name = name
+      } else {
+        player = { id: socket.id, name, roomId: null, connected: true, isBot: !!socket.data.isBot }
+      }
+      player.accountId = account ? account.id : null
+
+      // Issue a session token the client can use to reclaim this seat after a socket drop.
+      // It is kept on the player too, so stored rooms can reopen their sessions after a restart.
+      let sessionToken = socket.data.sessionToken
+      if (!socket.data.isBot && (!sessionToken || !sessions.has(sessionToken))) {
+        sessionToken = uuidv4()
+        sessions.set(sessionToken, { token: sessionToken, player, disconnectTimer: null })
+        socket.data.sessionToken = sessionToken
+        player.sessionToken = sessionToken
+      }
+      store.savePlayer(player)
+
+      socket.emit("playerSet", { id: socket.id, name, sessionToken, accountId: player.accountId })
+      console.log(`Player ${name} (${socket.id}) set name`)
+      return ok({ playerId: socket.id, sessionToken, accountId: player.accountId })
+    })
+
+    on("resumeSession", ({ sessionToken }) => {
+      const session = sessions.get(sessionToken)
+
+      if (!session) {
+        socket.emit("sessionExpired")
+        return fail(ERROR_CODES.SESSION_EXPIRED, "Session has expired")
+      }
+
+      clearTimeout(session.disconnectTimer)
+      session.disconnectTimer = null
+
+      const player = session.player
+      const previousId = player.id
+
+      // Drop any socket still bound to this seat; its disconnect is ignored below
+      if (previousId !== socket.id) {
+        store.deletePlayer(previousId)
+        io.sockets.sockets.get(previousId)?.disconnect(true)
+      }
+
+      player.id = socket.id
+      player.connected = true
+      store.savePlayer(player)
+      socket.data.sessionToken = sessionToken
+
+      const room = store.getRoom(player.roomId)
+      if (room) {
+        store.saveRoom(room)
+        socket.join(room.id)
+        socket.to(room.id).emit("opponentReconnected", { playerId: socket.id, previousPlayerId: previousId })
+      }
+
+      socket.emit("sessionResumed", {
+        player: { id: player.id, name: player.name },
+        sessionToken,
+        room: room ? projectRoom(room, socket.id) : null,
+      })
+
+      console.log(`🔌 Player ${player.name} resumed session (${previousId} -> ${socket.id})`)
+    })
+
+    on("getRooms", () => {
+      // Full rooms stay listed while they can be watched
+      const availableRooms = store
+        .listRooms()
+        .filter((room) => !room.isPrivate && (room.players.length < room.maxPlayers || room.allowSpectators))
+        .map((room) => ({
+          id: room.id,
+          name: room.name,
+          players: room.players.filter((p) => !p.vacated).length,
+          maxPlayers: room.maxPlayers,
+          teams: room.teams,
+          gameMode: room.gameMode,
+          gameState: room.gameState,
+          spectators: room.spectators.length,
+          allowSpectators: room.allowSpectators,
+          hasPassword: !!room.passwordHash,
+        }))
+      socket.emit("roomsList", availableRooms)
+    })
+
+    // Rooms the player made and is still seated in, including any they walked away from by creating another
+    function roomLimitFailure(player) {
+      const key = playerKey(player)
+      const openRooms = store
+        .listRooms()
+        .filter((room) => room.createdBy === key && room.players.some((p) => playerKey(p) === key)).length
+      if (openRooms < config.maxRoomsPerPlayer) return null
+      return fail(
+        ERROR_CODES.ROOM_LIMIT_REACHED,
+        `You can have at most ${config.maxRoomsPerPlayer} rooms open at once`,
+        "error",
+      )
+    }
+
+    on("createRoom", (options) => {
+      const player = store.getPlayer(socket.id)
+      if (!player) return fail(ERROR_CODES.PLAYER_NOT_FOUND, "Player not found", "error")
+      const limitFailure = roomLimitFailure(player)
+      if (limitFailure) return limitFailure
+
+      if (options.teams && options.maxPlayers !== undefined && options.maxPlayers !== TEAM_ROOM_SIZE) {
+        return fail(ERROR_CODES.INVALID_PAYLOAD, `Team rooms seat ${TEAM_ROOM_SIZE} players`, "error")
+      }
+
+      // Custom rules are checked as a whole once merged over the mode, e.g. a discard can't outgrow the hand
+      const ruleOverrides = pickRuleOverrides(options.rules)
+      const problem = checkRules(applyRuleOverrides(getModeConfig({ gameMode: options.gameMode }), ruleOverrides))
+      if (problem) return fail(ERROR_CODES.INVALID_RULES, problem, "error")
+
+      const create = (passwordHash) => {
+        // While a password was hashing the player may have disconnected or opened another room
+        if (!store.getPlayer(socket.id)) return fail(ERROR_CODES.PLAYER_NOT_FOUND, "Player not found", "error")
+        const lateLimitFailure = passwordHash && roomLimitFailure(player)
+        if (lateLimitFailure) return lateLimitFailure
+
+        // Only the matchmaking queue makes ranked rooms, and only tournaments make tournament rooms
+        const room = openRoom(player, {
+          ...options,
+          rules: ruleOverrides,
+          passwordHash,
+          ranked: false,
+          tournament: null,
+        })
+        const roomId = room.id
+        const { bot } = options
+
+        socket.join(roomId)
+        socket.emit("roomCreated", {
+          roomId,
+          inviteCode: room.inviteCode,
+          rules: room.rules,
+          room: projectRoom(room, socket.id),
+        })
+        io.emit("roomsUpdated")
+
+        // Practice: seat server-side bots, which start the game like other players joining once the room fills
+        if (bot) {
+          const botCount = Math.min(bot.count || 1, room.maxPlayers - 1)
+          for (let i = 0; i < botCount; i++) seatBot(core, roomId, bot.difficulty)
+        }
+
+        return ok({ roomId, inviteCode: room.inviteCode, rules: room.rules })
+      }
+
+      return options.password ? hashPassword(options.password).then(create) : create(null)
+    })
+
+    on("joinRoom", (target) => {
+      const { roomId, inviteCode, password } = typeof target === "string" ? { roomId: target } : target
+      const room = inviteCode ? findRoomByInviteCode(inviteCode) : store.getRoom(roomId)
+      const player = store.getPlayer(socket.id)
+
+      // A private room's id alone doesn't get anyone in. Bots are seated by the host, so they skip these checks.
+      const invited = !!inviteCode || socket.data.isBot
+      if (!room || (room.isPrivate && !invited)) return fail(ERROR_CODES.ROOM_NOT_FOUND, "Room not found", "error")
+      if (!player) return fail(ERROR_CODES.PLAYER_NOT_FOUND, "Player not found", "error")
+
+      if (room.kickedPlayers.includes(playerKey(player))) {
+        return fail(ERROR_CODES.KICKED, "You were removed from this room by the host", "error")
+      }
+
+      // Checked again after a password check, in which time the room may have filled, started or closed
+      const join = () => {
+        if (!store.getRoom(room.id)) return fail(ERROR_CODES.ROOM_NOT_FOUND, "Room not found", "error")
+        if (!store.getPlayer(socket.id)) return fail(ERROR_CODES.PLAYER_NOT_FOUND, "Player not found", "error")
+
+        // A seat emptied mid-game stays out of play until the game is over
+        if (room.gameState === "playing") {
+          return fail(ERROR_CODES.GAME_ALREADY_STARTED, "This game is already in progress", "error")
+        }
+
+        if (room.players.length >= room.maxPlayers) return fail(ERROR_CODES.ROOM_FULL, "Room is full", "error")
+
+        if (room.players.find((p) => p.id === socket.id)) {
+          return fail(ERROR_CODES.ALREADY_IN_ROOM, "You are already in this room", "error")
+        }
+
+        seatPlayer(room, player)
+
+        socket.join(room.id)
+        console.log(
+          `👥 Player ${player.name} joined room ${room.name} (${room.players.length}/${room.maxPlayers}) - Mode: ${room.gameMode}`,
+        )
+
+        // Send room data with game mode to all players
+        emitToRoom(room, "playerJoined", (viewerId) => ({
+          player: projectPlayer(room, player, viewerId),
+          room: projectRoom(room, viewerId),
+        }))
+        io.emit("roomsUpdated")
+
+        if (room.players.length === room.maxPlayers) {
+          console.log("🎯 Room full, starting game in 2 seconds...")
+          scheduleStart(room)
+        }
+
+        return ok({ roomId: room.id })
+      }
+
+      if (!room.passwordHash || socket.data.isBot) return join()
+      if (!password) return fail(ERROR_CODES.WRONG_PASSWORD, "This room needs a password", "error")
+      return checkPassword(password, room.passwordHash).then((matches) =>
+        matches ? join() : fail(ERROR_CODES.WRONG_PASSWORD, "Incorrect password", "error"),
+      )
+    })
+
+    on("selectCard", ({ roomId, cardId }) => {
+      const { room, playerIndex, failure } = findGameSeat(roomId)
+      if (failure) return failure
+      if (playerIndex !== room.currentPlayer) return fail(ERROR_CODES.NOT_YOUR_TURN, "It's not your turn")
+
+      const currentPlayer = room.players[playerIndex]
+      const card = currentPlayer.hand.find((c) => c.id === cardId)
+      if (!card) return fail(ERROR_CODES.CARD_NOT_FOUND, "That card is not in your hand")
+
+      card.selected = !card.selected
+      currentPlayer.selectedCards = currentPlayer.hand.filter((c) => c.selected)
+
+      if (room.lockPredictions && !room.predictionsLocked) {
+        room.predictionsLocked = true
+        io.to(roomId).emit("predictionsLocked", { turn: room.turn })
+      }
+
+      // Opponents only learn that a card was toggled, not which one
+      emitToRoom(room, "cardSelected", (viewerId) => ({
+        playerIndex,
+        selected: card.selected,
+        selectedCount: currentPlayer.selectedCards.length,
+        ...(viewerId === currentPlayer.id ? { cardId } : {}),
+      }))
+    })
+
+    on("markForDiscard", ({ roomId, cardId }) => {
+      const { room, playerIndex, failure } = findGameSeat(roomId, ACTIONS.DISCARD)
+      if (failure) return failure
+      if (playerIndex !== room.currentPlayer) return fail(ERROR_CODES.NOT_YOUR_TURN, "It's not your turn")
+
+      const currentPlayer = room.players[playerIndex]
+      const card = currentPlayer.hand.find((c) => c.id === cardId)
+      if (!card) return fail(ERROR_CODES.CARD_NOT_FOUND, "That card is not in your hand")
+
+      card.markedForDiscard = !card.markedForDiscard
+      emitToRoom(room, "cardMarkedForDiscard", (viewerId) => ({
+        playerIndex,
+        marked: card.markedForDiscard,
+        ...(viewerId === currentPlayer.id ? { cardId } : {}),
+      }))
+    })
+
+    on("discardCards", ({ roomId }) => {
+      const { room, playerIndex, failure } = findGameSeat(roomId, ACTIONS.DISCARD)
+      if (failure) return failure
+      if (playerIndex !== room.currentPlayer) return fail(ERROR_CODES.NOT_YOUR_TURN, "It's not your turn")
+
+      const currentPlayer = room.players[playerIndex]
+      const markedCards = currentPlayer.hand.filter((c) => c.markedForDiscard)
+
+      // Per-discard and per-turn limits come from the room's rules
+      if (markedCards.length === 0) return fail(ERROR_CODES.NO_CARDS_SELECTED, "No cards marked for discard")
+      if (markedCards.length > currentPlayer.maxCardsPerDiscard) {
+        return fail(
+          ERROR_CODES.DISCARD_LIMIT,
+          `You can discard at most ${currentPlayer.maxCardsPerDiscard} cards at once`,
+        )
+      }
+      if (currentPlayer.discardsUsed >= currentPlayer.maxDiscards) {
+        return fail(ERROR_CODES.DISCARD_LIMIT, "You have no discards left")
+      }
+
+      console.log(`🗑️ Player ${currentPlayer.name} discarding ${markedCards.length} cards`)
+
+      const discarded = recordAction(
+        room,
+        "discardCards",
+        { playerIndex, cardIds: markedCards.map((c) => c.id) },
+        (random) => engine.discardCards(room, playerIndex, markedCards, random),
+      )
+      if (discarded === null) return fail(ERROR_CODES.NOT_YOUR_TURN, "The turn has already moved on")
+      if (!discarded) {
+        return fail(ERROR_CODES.DECK_EXHAUSTED, "Not enough cards available to complete discard", "error")
+      }
+
+      emitToRoom(room, "gameStateUpdate", (viewerId) => ({
+        players: projectPlayers(room, viewerId),
+        deckSize: room.deck.length,
+      }))
+    })
+
+    // Predictions (Tactical, or any room with predict on)
+    on("makePrediction", ({ roomId, prediction }) => {
+      const { room, playerIndex, failure } = findGameSeat(roomId, ACTIONS.PREDICT)
+      if (failure) return failure
+
+      const currentPlayer = room.players[playerIndex]
+
+      // Allow prediction only when it's NOT your turn (you can't predict your own hand)
+      if (playerIndex === room.currentPlayer) {
+        return fail(ERROR_CODES.NOT_YOUR_TURN, "You cannot predict your own hand", "error")
+      }
+
+      if (room.predictionsLocked) {
+        return fail(ERROR_CODES.PREDICTIONS_LOCKED, "Predictions are locked for this turn", "error")
+      }
+
+      // Only hand types from the rules table count, so a typo can't turn into a wrong guess
+      const handTypes = Object.keys(getModeConfig(room).ruleset.handRankings)
+      if (!handTypes.includes(prediction)) {
+        return fail(ERROR_CODES.UNKNOWN_HAND_TYPE, `Unknown hand type: ${prediction}`, "error")
+      }
+
+      recordAction(room, "makePrediction", { playerIndex, prediction }, () =>
+        engine.makePrediction(room, playerIndex, prediction),
+      )
+
+      console.log(`🔮 ${currentPlayer.name} predicted: ${prediction}`)
+
+      // Broadcast to all players in the room
+      io.to(roomId).emit("predictionMade", { playerIndex, prediction })
+    })
+
+    // Odds of each hand type being the opponent's best, from what this player can see
+    on("getPredictionOdds", ({ roomId }) => {
+      const { room, playerIndex, failure } = findGameSeat(roomId, ACTIONS.PREDICT)
+      if (failure) return failure
+
+      // Odds are for whoever attacks next: the current player, or on your own turn the seat after you
+      const viewer = room.players[playerIndex]
+      const attackerIndex = room.currentPlayer === playerIndex ? nextActiveSeat(room, playerIndex) : room.currentPlayer
+      const knownCards = [...viewer.hand, ...(viewer.parryCards || [])]
+      const handSize = room.players[attackerIndex].hand.length
+
+      // Sampling is expensive, so each seat's odds are worked out once per turn, and again only if a discard
+      // changed what it can see
+      const signature = `${attackerIndex}:${handSize}:${knownCards.map((c) => c.id).sort()}`
+      if (!oddsCache.has(room.id) || oddsCache.get(room.id).turn !== room.turn) {
+        oddsCache.set(room.id, { turn: room.turn, bySeat: new Map() })
+      }
+      const { bySeat } = oddsCache.get(room.id)
+      if (!bySeat.has(playerIndex) || bySeat.get(playerIndex).signature !== signature) {
+        const rules = getModeConfig(room)
+        const deck = deckForTable(rules.deck, room.players.length, rules.handSize)
+        bySeat.set(playerIndex, { signature, odds: predictionOdds(knownCards, handSize, rules.ruleset, deck) })
+      }
+      const { odds } = bySeat.get(playerIndex)
+
+      socket.emit("predictionOdds", { roomId, turn: room.turn, playerIndex: attackerIndex, odds })
+      return ok({ odds })
+    })
+
+    // Parry: commit cards face-down during the opponent's turn; they are revealed when the opponent plays
+    on("commitParry", ({ roomId, cardIds }) => {
+      const { room, playerIndex, failure } = findGameSeat(roomId, ACTIONS.PARRY)
+      if (failure) return failure
+
+      if (playerIndex === room.currentPlayer) {
+        return fail(ERROR_CODES.NOT_YOUR_TURN, "You can only parry during your opponent's turn", "error")
+      }
+
+      const currentPlayer = room.players[playerIndex]
+      const cards = [...new Set(cardIds)].map((id) => currentPlayer.hand.find((c) => c.id === id))
+
+      if (cards.length > engine.PARRY_RULES.maxCards || cards.includes(undefined)) {
+        return fail(
+          ERROR_CODES.INVALID_PARRY,
+          `Parry with 1 to ${engine.PARRY_RULES.maxCards} cards from your hand`,
+          "error",
+        )
+      }
+
+      recordAction(room, "commitParry", { playerIndex, cardIds: cards.map((c) => c.id) }, () =>
+        engine.commitParry(room, playerIndex, cards),
+      )
+
+      console.log(`🤺 ${currentPlayer.name} committed a ${cards.length}-card parry`)
+
+      // Opponents only learn how many cards are face-down
+      emitToRoom(room, "parryCommitted", (viewerId) => ({
+        playerIndex,
+        parryCount: currentPlayer.parryCards.length,
+        players: projectPlayers(room, viewerId),
+      }))
+    })
+
+    // targetIndex picks the seat to attack; without one it is the next opponent in turn order
+    on("playHand", ({ roomId, targetIndex = null }) => {
+      const { room, playerIndex, failure } = findGameSeat(roomId)
+      if (failure) return failure
+      if (playerIndex !== room.currentPlayer) return fail(ERROR_CODES.NOT_YOUR_TURN, "It's not your turn")
+      if (targetIndex !== null && !targetSeats(room, playerIndex).includes(targetIndex)) {
+        return fail(ERROR_CODES.INVALID_TARGET, "Attack a player on another side who is still in the game")
+      }
+
+      const currentPlayer = room.players[playerIndex]
+
+      if (currentPlayer.selectedCards.length === 0) return fail(ERROR_CODES.NO_CARDS_SELECTED, "No cards selected")
+
+      const hand = classifyHand(currentPlayer.selectedCards, getModeConfig(room).ruleset)
+      if (!hand.valid) return fail(ERROR_CODES.INVALID_HAND, hand.reason, "invalidHand")
+
+      currentPlayer.consecutiveTimeouts = 0
+      resolvePlayedHand(room, playerIndex, hand, targetIndex)
+    })
+
+    // Build armor instead of attacking
+    on("buildArmor", ({ roomId }) => {
+      const { room, playerIndex, failure } = findGameSeat(roomId, ACTIONS.BUILD_ARMOR)
+      if (failure) return failure
+
+      // Only allow armor building on your turn
+      if (playerIndex !== room.currentPlayer) {
+        return fail(ERROR_CODES.NOT_YOUR_TURN, "You can only build armor on your turn", "error")
+      }
+
+      const currentPlayer = room.players[playerIndex]
+
+      if (currentPlayer.selectedCards.length === 0) {
+        return fail(ERROR_CODES.NO_CARDS_SELECTED, "No cards selected", "error")
+      }
+
+      const hand = classifyHand(currentPlayer.selectedCards, getModeConfig(room).ruleset)
+      if (!hand.valid) return fail(ERROR_CODES.INVALID_HAND, hand.reason, "invalidHand")
+
+      const cardIds = currentPlayer.selectedCards.map((c) => c.id)
+      const outcome = recordAction(room, "buildArmor", { playerIndex, cardIds }, (random) =>
+        engine.buildArmor(room, playerIndex, hand, random),
+      )
+      if (!outcome) return fail(ERROR_CODES.NOT_YOUR_TURN, "The turn has already moved on")
+
+      const { handResult, armorGained } = outcome
+      currentPlayer.consecutiveTimeouts = 0
+
+      beginTurn(room)
+
+      emitToRoom(room, "armorBuilt", (viewerId) => ({
+        playerIndex,
+        armorGained,
+        handResult,
+        newCurrentPlayer: room.currentPlayer,
+        turn: room.turn,
+        deckSize: room.deck.length,
+        players: projectPlayers(room, viewerId),
+      }))
+    })
+
+    // Ranked matchmaking: wait in a mode's queue until an opponent near your rating turns up
+    on("joinQueue", ({ gameMode }) => {
+      const player = store.getPlayer(socket.id)
+      if (!player) return fail(ERROR_CODES.PLAYER_NOT_FOUND, "Player not found")
+      if (player.isBot) return fail(ERROR_CODES.INVALID_PAYLOAD, "Bots can't queue for ranked games")
+      // Ratings are kept per account; a guest's would be lost, and a fresh one started, with every new session
+      if (!player.accountId) return fail(ERROR_CODES.ACCOUNT_REQUIRED, "Sign in to play ranked games")
+      if (player.roomId) return fail(ERROR_CODES.ALREADY_IN_ROOM, "Leave your current room before queueing")
+
+      const entry = matchmaker.join(player, gameMode)
+      socket.emit("queueJoined", { gameMode, rating: entry.rating })
+      return ok({ gameMode, rating: entry.rating })
+    })
+
+    on("leaveQueue", () => {
+      const player = store.getPlayer(socket.id)
+      if (!player || !matchmaker.leave(player)) return fail(ERROR_CODES.NOT_IN_QUEUE, "You are not in a queue")
+
+      socket.emit("queueLeft")
+    })
+
+    // Rematches: once a game has ended any seat may ask, and it starts when every other seat has accepted.
+    // A request lapses after config.rematchTimeoutMs and is dropped if anyone leaves.
+    function findRematchSeat(roomId) {
+      const { room, player, failure } = findRoomMember(roomId)
+      if (failure) return { failure }
+      if (room.gameState !== "ended") {
+        return { failure: fail(ERROR_CODES.GAME_NOT_ENDED, "The game hasn't ended yet", "error") }
+      }
+      return { room, player, playerIndex: room.players.indexOf(player) }
+    }
+
+    function startRematch(room, player) {
+      clearTimeout(rematchTimers.get(room.id))
+      rematchTimers.delete(room.id)
+      room.rematch = null
+
+      console.log(`✅ ${player.name} accepted rematch in room ${room.id}`)
+
+      startMatch(room)
+
+      beginTurn(room)
+      emitToRoom(room, "rematchAccepted", (viewerId) => ({ room: projectRoom(room, viewerId) }))
+      console.log(`🎮 Rematch started in room ${room.id}`)
+    }
+
+    // Count a seat's yes, starting the rematch once every seat has given one
+    function acceptRematchSeat(room, player, playerIndex) {
+      room.rematch.acceptedBy.push(playerIndex)
+      if (room.rematch.acceptedBy.length === room.players.length) {
+        startRematch(room, player)
+        return
+      }
+
+      store.saveRoom(room)
+      io.to(room.id).emit("rematchVote", { playerName: player.name, playerIndex, ...room.rematch })
+    }
+
+    on("requestRematch", ({ roomId }) => {
+      const { room, player, playerIndex, failure } = findRematchSeat(roomId)
+      if (failure) return failure
+
+      if (room.players.length !== room.maxPlayers) {
+        return fail(ERROR_CODES.NO_OPPONENT, "Every seat needs a player for a rematch", "error")
+      }
+
+      if (room.rematch) {
+        if (room.rematch.acceptedBy.includes(playerIndex)) {
+          return fail(ERROR_CODES.REMATCH_PENDING, "You already asked for a rematch", "error")
+        }
+        // Asking while a request is pending is as good as accepting it
+        acceptRematchSeat(room, player, playerIndex)
+        return
+      }
+
+      room.rematch = {
+        requesterIndex: playerIndex,
+        acceptedBy: [playerIndex],
+        expiresAt: Date.now() + config.rematchTimeoutMs,
+      }
+      touch(room)
+      store.saveRoom(room)
+      rematchTimers.set(
+        roomId,
+        setTimeout(() => {
+          console.log(`⌛ Rematch request in room ${roomId} timed out`)
+          cancelRematch(room, "timeout")
+        }, config.rematchTimeoutMs),
+      )
+
+      socket.to(roomId).emit("rematchRequested", { playerName: player.name, ...room.rematch })
+      events.emit("rematchRequested", room, player)
+      console.log(`🔄 ${player.name} requested rematch in room ${roomId}`)
+      return ok(room.rematch)
+    })
+
+    on("acceptRematch", ({ roomId }) => {
+      const { room, player, playerIndex, failure } = findRematchSeat(roomId)
+      if (failure) return failure
+
+      if (!room.rematch) return fail(ERROR_CODES.NO_REMATCH_PENDING, "Nobody has asked for a rematch", "error")
+      if (room.rematch.acceptedBy.includes(playerIndex)) {
+        return fail(ERROR_CODES.OWN_REMATCH_REQUEST, "The other players have to accept this rematch", "error")
+      }
+
+      acceptRematchSeat(room, player, playerIndex)
+    })
+
+    // Any seat may decline: the requester withdraws, anyone else turns it down
+    on("declineRematch", ({ roomId }) => {
+      const { room, player, failure } = findRematchSeat(roomId)
+      if (failure) return failure
+
+      if (!room.rematch) return fail(ERROR_CODES.NO_REMATCH_PENDING, "Nobody has asked for a rematch", "error")
+
+      console.log(`❌ ${player.name} declined rematch in room ${roomId}`)
+      cancelRematch(room, "declined")
+    })
+
+    on("spectateRoom", (roomId) => {
+      const room = store.getRoom(roomId)
+      const player = store.getPlayer(socket.id)
+
+      if (!room || room.isPrivate) return fail(ERROR_CODES.ROOM_NOT_FOUND, "Room not found", "error")
+      if (!player) return fail(ERROR_CODES.PLAYER_NOT_FOUND, "Player not found", "error")
+
+      if (!room.allowSpectators) {
+        return fail(ERROR_CODES.SPECTATING_DISABLED, "Spectating is disabled for this room", "error")
+      }
+
+      if (player.roomId) {
+        return fail(ERROR_CODES.ALREADY_IN_ROOM, "Leave your current room before spectating", "error")
+      }
+
+      if (player.spectatingRoomId) {
+        stopSpectating(player, "switchedRoom")
+      }
+
+      room.spectators.push(player)
+      player.spectatingRoomId = roomId
+      socket.join(roomId)
+
+      socket.emit("spectatingStarted", { room: projectRoom(room, null) })
+      emitSpectatorsUpdated(room)
+
+      console.log(`👀 ${player.name} is spectating room ${room.name}`)
+    })
+
+    // Host only, before the game starts: remove a player from the room and keep them from rejoining it. A
+    // signed-in player is kept out by account; a guest only for their session, since a new one is a new guest.
+    on("kickPlayer", ({ roomId, playerId }) => {
+      const { room, player, failure } = findRoomMember(roomId)
+      if (failure) return failure
+
+      if (room.players[0] !== player) return fail(ERROR_CODES.NOT_HOST, "Only the host can kick players", "error")
+
+      if (room.gameState !== "waiting") {
+        return fail(ERROR_CODES.GAME_ALREADY_STARTED, "Players can only be kicked before the game starts", "error")
+      }
+
+      const target = room.players.find((p) => p.id === playerId)
+      if (!target || target === player) {
+        return fail(ERROR_CODES.NOT_IN_ROOM, "That player is not in this room", "error")
+      }
+
+      kickFromRoom(room, target)
+      console.log(`👢 ${player.name} kicked ${target.name} from room ${room.name}`)
+    })
+
+    // Host only: turning spectating off also removes anyone currently watching
+    on("setSpectatorsAllowed", ({ roomId, allowed }) => {
+      const { room, player, failure } = findRoomMember(roomId)
+      if (failure) return failure
+
+      if (room.players[0] !== player) {
+        return fail(ERROR_CODES.NOT_HOST, "Only the host can change spectator settings", "error")
+      }
+
+      room.allowSpectators = !!allowed
+      store.saveRoom(room)
+      if (!room.allowSpectators) {
+        room.spectators.forEach((spectator) => stopSpectating(spectator, "disabled"))
+      }
+
+      io.to(roomId).emit("spectatorSettingsChanged", { roomId, allowSpectators: room.allowSpectators })
+      io.emit("roomsUpdated")
+    })
+
+    on("leaveRoom", () => {
+      const player = store.getPlayer(socket.id)
+      if (player && player.spectatingRoomId) {
+        stopSpectating(player, "left")
+        return
+      }
+
+      if (!player || !player.roomId) return fail(ERROR_CODES.NOT_IN_ROOM, "You are not in a room")
+
+      socket.leave(player.roomId)
+      removePlayerFromRoom(player)
+    })
+
+    socket.on("disconnect", () => {
+      console.log("User disconnected:", socket.id)
+      rateLimiter.detach(socket.id)
+
+      const session = sessions.get(socket.data.sessionToken)
+      const player = store.getPlayer(socket.id)
+      store.deletePlayer(socket.id)
+
+      // Watching needs no seat to hold, so spectators leave straight away
+      if (player && player.spectatingRoomId) {
+        stopSpectating(player, "disconnected")
+      }
+
+      // Seat was already rebound to a newer socket via resumeSession
+      if (!player || !session || session.player.id !== socket.id) return
+
+      player.connected = false
+
+      const room = store.getRoom(player.roomId)
+      if (room) {
+        store.saveRoom(room)
+        io.to(room.id).emit("opponentReconnecting", {
+          playerId: player.id,
+          playerName: player.name,
+          gracePeriodMs: config.reconnectGracePeriodMs,
+        })
+      }
+
+      holdSeat(session)
+    })
+  }
+
+  // Hold a dropped player's seat for the grace period, then release it as a normal leave
+  function holdSeat(session) {
+    session.disconnectTimer = setTimeout(() => {
+      console.log(`⌛ Player ${session.player.name} did not reconnect, releasing seat`)
+      sessions.delete(session.token)
+      removePlayerFromRoom(session.player)
+    }, config.reconnectGracePeriodMs)
+  }
+
+  // Pick up the games a persistent store kept across a restart. Rooms that hadn't started are dropped.
+  // Every human seat comes back disconnected with its session reopened, as if the socket had just dropped.
+  function restoreRooms() {
+    store.listRooms().forEach((room) => {
+      if (room.gameState !== "playing") {
+        room.players.forEach((player) => store.deletePlayer(player.id))
+        store.deleteRoom(room.id)
+        return
+      }
+
+      room.spectators = []
+      // Time spent down doesn't count as idle
+      touch(room)
+      room.players.forEach((player) => {
+        if (player.vacated) return
+        if (player.isBot) {
+          resumeBot(core, room, player)
+          return
+        }
+
+        player.connected = false
+        const session = { token: player.sessionToken, player, disconnectTimer: null }
+        sessions.set(session.token, session)
+        holdSeat(session)
+      })
+
+      startTurnTimer(room)
+      console.log(`♻️ Restored room ${room.name} (${room.id}) on turn ${room.turn}`)
+    })
+  }
+
+  const core = {
+    io,
+    config,
+    events,
+    store,
+    matchLogs,
+    ratings,
+    accounts,
+    metrics,
+    getModeConfig,
+    openRoom,
+    seatPlayer,
+    removePlayerFromRoom,
+    kickFromRoom,
+    closeRoom,
+    handleConnection,
+    startGame,
+    endGame,
+  }
+
+  const matchmaker = createMatchmaker(core)
+  core.tournaments = createTournamentManager(core)
+  createRoomSweeper(core)
+
+  // Addresses recently dropped for flooding can't reconnect straight away with fresh sockets
+  io.use((socket, next) => {
+    if (rateLimiter.isBlocked(socket.handshake.address)) {
+      next(new Error("Too many requests from this address, try again later"))
+      return
+    }
+    next()
+  })
+
+  // Handshake auth: a client may pass { auth: { token } } from /auth/login. A bad token is refused outright
+  // rather than quietly downgraded to a guest.
+  io.use((socket, next) => {
+    const token = socket.handshake.auth && socket.handshake.auth.token
+    if (!token) {
+      next()
+      return
+    }
+
+    const account = accounts.verifyToken(token)
+    if (!account) {
+      next(new Error("Invalid or expired account token"))
+      return
+    }
+
+    socket.data.accountId = account.id
+    next()
+  })
+
+  restoreRooms()
+  io.on("connection", handleConnection)
+
+  return core
+}
+
+module.exports = {
+  createGameCore,
+}
@@ -0,0 +1,150 @@
+// Deck, draw and discard pile helpers shared by every game mode. Shuffles use the `random` source they are given.
+
+const SUITS = ["hearts", "diamonds", "clubs", "spades"]
+// Jokers are wild: they have no rank of their own and take whatever the hand they're played in needs
+const JOKER_SUIT = "joker"
+// A short deck drops the twos through fives, keeping the aces
+const SHORT_DECK_LOWEST_RANK = 6
+
+// What a mode's deck is made of (see BASE_MODE_CONFIG.deck in game/modes.js)
+const STANDARD_DECK = {
+  // Copies shuffled together; 2 is a double deck
+  copies: 1,
+  shortDeck: false,
+  // Jokers added to each copy
+  jokers: 0,
+}
+
+function ranksIn(composition) {
+  const lowest = composition.shortDeck ? SHORT_DECK_LOWEST_RANK : 2
+  return [1, ...Array.from({ length: 14 - lowest }, (_, i) => lowest + i)]
+}
+
+function cardsPerCopy(composition) {
+  return ranksIn(composition).length * SUITS.length + composition.jokers
+}
+
+// The composition with enough copies that the opening deal leaves at least half as many cards again to draw
+// from, so bigger tables and hands don't spend every turn reshuffling the discard pile
+function deckForTable(composition = STANDARD_DECK, playerCount, handSize) {
+  const needed = Math.ceil((playerCount * handSize * 1.5) / cardsPerCopy(composition))
+  return { ...composition, copies: Math.max(composition.copies, needed) }
+}
+
+// Shuffle every copy of the composition together. Card ids come from where a card sits in the unshuffled
+// deck, never from `random`, so holding a card says nothing about the shuffle.
+function createDeck(random = Math.random, composition = STANDARD_DECK) {
+  const ranks = ranksIn(composition)
+  const deck = []
+
+  for (let copy = 0; copy < composition.copies; copy++) {
+    for (const suit of SUITS) {
+      for (const rank of ranks) {
+        deck.push({
+          id: `${suit}-${rank}-${copy}`,
+          suit,
+          rank,
+          selected: false,
+          markedForDiscard: false,
+        })
+      }
+    }
+    for (let i = 0; i < composition.jokers; i++) {
+      deck.push({
+        id: `${JOKER_SUIT}-${copy}-${i}`,
+        suit: JOKER_SUIT,
+        rank: 0,
+        selected: false,
+        markedForDiscard: false,
+      })
+    }
+  }
+
+  // Shuffle deck
+  for (let i = deck.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1))
+    ;[deck[i], deck[j]] = [deck[j], deck[i]]
+  }
+
+  return deck
+}
+
+// Helper function to ensure deck has enough cards
+function ensureDeckHasCards(room, cardsNeeded, random = Math.random) {
+  console.log(
+    `🔍 Checking deck: need ${cardsNeeded}, have ${room.deck.length}, discard pile: ${room.discardPile?.length || 0}`,
+  )
+
+  // If we have enough cards, we're good
+  if (room.deck.length >= cardsNeeded) {
+    return true
+  }
+
+  // Initialize discard pile if it doesn't exist
+  if (!room.discardPile) {
+    room.discardPile = []
+  }
+
+  // If we don't have enough cards but have a discard pile, shuffle it back in
+  if (room.discardPile.length > 0) {
+    console.log(`♻️ Deck low (${room.deck.length}), shuffling ${room.discardPile.length} cards back into deck`)
+
+    // Shuffle discard pile
+    for (let i = room.discardPile.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1))
+      ;[room.discardPile[i], room.discardPile[j]] = [room.discardPile[j], room.discardPile[i]]
+    }
+
+    // Add to deck
+    room.deck.push(...room.discardPile)
+    room.discardPile = []
+
+    console.log(`✅ Deck replenished: now has ${room.deck.length} cards`)
+  }
+
+  // Return whether we now have enough cards
+  return room.deck.length >= cardsNeeded
+}
+
+// Helper function to add cards to discard pile
+function addToDiscardPile(room, cards) {
+  // Initialize discard pile if it doesn't exist
+  if (!room.discardPile) {
+    room.discardPile = []
+  }
+
+  // Add cards to discard pile, cleaning their state
+  room.discardPile.push(
+    ...cards.map((card) => ({
+      ...card,
+      selected: false,
+      markedForDiscard: false,
+    })),
+  )
+
+  console.log(`🗑️ Added ${cards.length} cards to discard pile (total: ${room.discardPile.length})`)
+}
+
+// Draw up to `count` cards from the top of the deck, recycling the discard pile first if needed
+function drawCards(room, count, random = Math.random) {
+  if (!ensureDeckHasCards(room, count, random)) {
+    console.log("⚠️ Warning: Not enough cards for full hand replacement")
+  }
+
+  return room.deck.splice(0, Math.min(count, room.deck.length)).map((card) => ({
+    ...card,
+    selected: false,
+    markedForDiscard: false,
+  }))
+}
+
+module.exports = {
+  SUITS,
+  JOKER_SUIT,
+  STANDARD_DECK,
+  deckForTable,
+  createDeck,
+  ensureDeckHasCards,
+  addToDiscardPile,
+  drawCards,
+}
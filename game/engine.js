@@ -0,0 +1,290 @@
+const { ACTIONS } = require("./modes")
+const { toHandResult } = require("./rules")
+const { ensureDeckHasCards, addToDiscardPile, drawCards } = require("./deck")
+const { sideOf, nextActiveSeat, targetSeats, survivingSide, seatsOnSide } = require("./seats")
+
+// Game engine: the state transitions of a match, shared by live rooms and by match replay.
+// Each function mutates the room it is given and takes any randomness through `random`, so a
+// replay driven by the match's seed rebuilds exactly the same states. Hand size, limits and which
+// actions are on come from the room's effective rules (room.rules, see game/modes.js). Rooms seat
+// two to four players; who may attack whom and whose turn is next come from game/seats.js.
+
+// Tactical parry: up to maxCards committed face-down during the opponent's turn. When the opponent's hand
+// resolves, a parry card sharing a rank with a played card reflects part of the damage back at the attacker;
+// failing that, one sharing a suit deflects part of it.
+const PARRY_RULES = {
+  maxCards: 2,
+  reflectRatio: 0.5,
+  deflectRatio: 0.25,
+}
+
+// Deal a fresh game from a shuffled deck: handSize cards each, starting health from the rules.
+// The first player is drawn at random unless a seat is given.
+function dealGame(room, deck, rules, random = Math.random, startingPlayer = null) {
+  room.rules = rules
+  const { handSize } = rules
+
+  room.players.forEach((player, index) => {
+    player.health = rules.startingHealth
+    player.maxHealth = rules.startingHealth
+    player.hand = deck.slice(index * handSize, (index + 1) * handSize)
+    player.selectedCards = []
+
+    player.discardsUsed = 0
+    player.maxDiscards = rules.actions[ACTIONS.DISCARD] ? rules.maxDiscards : 0
+    player.maxCardsPerDiscard = rules.maxCardsPerDiscard
+    player.consecutiveTimeouts = 0
+    player.eliminated = false
+
+    // Armor, predictions and parries start empty whether or not the rules use them
+    player.armor = 0
+    player.prediction = null
+    player.parryCards = []
+
+    console.log(`🎯 Player ${player.name} initialized: HP=${player.health}, Mode=${room.gameMode}`)
+  })
+
+  room.gameState = "playing"
+  room.currentPlayer = typeof startingPlayer === "number" ? startingPlayer : Math.floor(random() * room.players.length)
+  console.log(`🎲 ${room.players[room.currentPlayer].name} goes first!`)
+  room.turn = 1
+  room.deck = deck.slice(room.players.length * handSize)
+  room.lastPlayedHand = null
+
+  // Initialize discard pile for all modes (needed for card recycling)
+  room.discardPile = []
+}
+
+// After playing, the whole hand (played cards included) is discarded and replaced by a fresh hand
+function replaceHand(room, player, random) {
+  addToDiscardPile(room, player.hand)
+  player.selectedCards = []
+  player.hand = drawCards(room, room.rules.handSize, random)
+}
+
+// Put a player's unrevealed parry cards back in their hand
+function returnParry(player) {
+  if (!player.parryCards || player.parryCards.length === 0) return
+  player.hand.push(...player.parryCards)
+  player.parryCards = []
+}
+
+function advanceTurn(room) {
+  room.currentPlayer = nextActiveSeat(room, room.currentPlayer)
+  room.turn++
+
+  // Reset discards for new player
+  room.players[room.currentPlayer].discardsUsed = 0
+
+  // A parry the opponent never played into is taken back up at the start of its owner's turn
+  returnParry(room.players[room.currentPlayer])
+}
+
+// Swap the given cards for new ones from the deck. Returns false if the deck can't cover them.
+function discardCards(room, playerIndex, cards, random = Math.random) {
+  const player = room.players[playerIndex]
+
+  // Ensure we have enough cards in deck before discarding
+  if (!ensureDeckHasCards(room, cards.length, random)) return false
+
+  // Remove discarded cards from hand and add them to the discard pile
+  player.hand = player.hand.filter((c) => !cards.includes(c))
+  addToDiscardPile(room, cards)
+
+  // Draw new cards to replace discarded ones
+  player.hand.push(...drawCards(room, cards.length, random))
+  player.discardsUsed++
+  player.selectedCards = player.hand.filter((c) => c.selected)
+
+  console.log(`✅ Player ${player.name} now has ${player.hand.length} cards`)
+  return true
+}
+
+function makePrediction(room, playerIndex, prediction) {
+  room.players[playerIndex].prediction = prediction
+}
+
+// Tactical mode: set cards aside face-down as a parry against the opponent's next hand, replacing any earlier parry
+function commitParry(room, playerIndex, cards) {
+  const player = room.players[playerIndex]
+
+  returnParry(player)
+  player.hand = player.hand.filter((c) => !cards.includes(c))
+  player.parryCards = cards.map((card) => ({ ...card, selected: false, markedForDiscard: false }))
+}
+
+// Reveal the defender's parry against the played cards. The parry cards are spent whether or not they
+// matched, and the defender draws back up to a full hand.
+function resolveParry(room, defenderIndex, playedCards, damage, random) {
+  const defender = room.players[defenderIndex]
+  const parryCards = defender.parryCards || []
+  if (parryCards.length === 0) return null
+
+  const matches = (key) => parryCards.some((parryCard) => playedCards.some((card) => card[key] === parryCard[key]))
+  const effect = matches("rank") ? "reflect" : matches("suit") ? "deflect" : "miss"
+  const reflected = effect === "reflect" ? Math.floor(damage * PARRY_RULES.reflectRatio) : 0
+  const deflected = effect === "deflect" ? Math.floor(damage * PARRY_RULES.deflectRatio) : 0
+
+  defender.parryCards = []
+  addToDiscardPile(room, parryCards)
+  defender.hand.push(...drawCards(room, parryCards.length, random))
+
+  return { playerIndex: defenderIndex, cards: parryCards, effect, reflected, deflected }
+}
+
+// Take a seat out of the game: its hand and any parry go to the discard pile and it gets no more turns
+function eliminateSeat(room, seat) {
+  const player = room.players[seat]
+  player.eliminated = true
+  addToDiscardPile(room, [...player.hand, ...(player.parryCards || [])])
+  player.hand = []
+  player.parryCards = []
+  player.selectedCards = []
+  player.prediction = null
+  console.log(`💀 ${player.name} is out of the game`)
+}
+
+// The winning seat once only one side is left: the given seat if it is on that side, else the side's first seat
+function findWinner(room, preferredSeat) {
+  const side = survivingSide(room)
+  if (side === null) return null
+  if (sideOf(room, preferredSeat) === side) return preferredSeat
+  return seatsOnSide(room, side).find((seat) => !room.players[seat].eliminated)
+}
+
+// Knock a seat out for a timeout or for leaving. Returns the winner's index if that decided the game,
+// otherwise passes the turn on if it was this seat's.
+function forfeitSeat(room, seat) {
+  eliminateSeat(room, seat)
+
+  const winnerIndex = findWinner(room, nextActiveSeat(room, seat))
+  const turnPassed = winnerIndex === null && room.currentPlayer === seat
+  if (turnPassed) advanceTurn(room)
+
+  return { winnerIndex, turnPassed }
+}
+
+// Resolve a classified hand as an attack on a target seat, by default the next opponent in turn order.
+// Damage runs through a fixed pipeline:
+//   1. prediction - the defender's guess scales it by predictionMultipliers.correct or .wrong
+//   2. armor      - the defender's armor absorbs what it can
+//   3. parry      - a revealed parry reflects or deflects part of what is left
+// Each step is returned in damagePipeline with the damage still standing after it. Also returns the public
+// hand result with the final damage, the revealed parry if there was one, the seats knocked out, and the
+// winner's index once only one side is left.
+function playHand(room, playerIndex, hand, random = Math.random, targetIndex = null) {
+  if (targetIndex === null || targetIndex === undefined) targetIndex = targetSeats(room, playerIndex)[0]
+  const currentPlayer = room.players[playerIndex]
+  const enemyPlayer = room.players[targetIndex]
+  const { actions, predictionMultipliers } = room.rules
+
+  const handResult = toHandResult(hand)
+  let finalDamage = handResult.damage
+  const damagePipeline = [{ step: "base", damage: finalDamage }]
+
+  if (actions[ACTIONS.PREDICT] && enemyPlayer.prediction) {
+    console.log(`🎯 Checking prediction: ${enemyPlayer.prediction} vs actual: ${handResult.type}`)
+
+    if (enemyPlayer.prediction === handResult.type) {
+      finalDamage = Math.floor(finalDamage * predictionMultipliers.correct)
+      console.log(
+        `✅ ${enemyPlayer.name} correctly predicted ${handResult.type}! Damage reduced from ${handResult.damage} to ${finalDamage}`,
+      )
+    } else {
+      finalDamage = Math.floor(finalDamage * predictionMultipliers.wrong)
+      console.log(
+        `❌ ${enemyPlayer.name} incorrectly predicted ${enemyPlayer.prediction}, actual was ${handResult.type}. Damage increased from ${handResult.damage} to ${finalDamage}`,
+      )
+    }
+
+    damagePipeline.push({
+      step: "prediction",
+      prediction: enemyPlayer.prediction,
+      correct: enemyPlayer.prediction === handResult.type,
+      damage: finalDamage,
+    })
+
+    // Reset prediction after use
+    enemyPlayer.prediction = null
+  }
+
+  // Armor only builds up where buildArmor is on, so this is a no-op elsewhere
+  if (enemyPlayer.armor > 0) {
+    const armorAbsorbed = Math.min(enemyPlayer.armor, finalDamage)
+    enemyPlayer.armor -= armorAbsorbed
+    finalDamage -= armorAbsorbed
+    console.log(
+      `🛡️ ${enemyPlayer.name}'s armor absorbed ${armorAbsorbed} damage. Remaining armor: ${enemyPlayer.armor}, Final damage: ${finalDamage}`,
+    )
+    damagePipeline.push({ step: "armor", absorbed: armorAbsorbed, damage: finalDamage })
+  }
+
+  // Reveal parry. Reflected damage skips the attacker's armor.
+  const parry = actions[ACTIONS.PARRY] ? resolveParry(room, targetIndex, hand.cards, finalDamage, random) : null
+  if (parry) {
+    finalDamage -= parry.reflected + parry.deflected
+    console.log(
+      `🤺 ${enemyPlayer.name}'s parry ${parry.effect}: reflected ${parry.reflected}, deflected ${parry.deflected}, Final damage: ${finalDamage}`,
+    )
+    damagePipeline.push({
+      step: "parry",
+      effect: parry.effect,
+      reflected: parry.reflected,
+      deflected: parry.deflected,
+      damage: finalDamage,
+    })
+  }
+
+  // Deal damage to the target. The attack lands first, so a target it knocks out reflects nothing back.
+  enemyPlayer.health = Math.max(0, enemyPlayer.health - finalDamage)
+  if (parry && enemyPlayer.health > 0) {
+    currentPlayer.health = Math.max(0, currentPlayer.health - parry.reflected)
+  }
+
+  replaceHand(room, currentPlayer, random)
+  room.lastPlayedHand = { ...handResult, damage: finalDamage }
+
+  const eliminated = [targetIndex, playerIndex].filter((seat) => room.players[seat].health <= 0)
+  eliminated.forEach((seat) => eliminateSeat(room, seat))
+
+  const winnerIndex = findWinner(room, playerIndex)
+  if (winnerIndex === null) advanceTurn(room)
+
+  return { handResult: room.lastPlayedHand, damagePipeline, parry, targetIndex, eliminated, winnerIndex }
+}
+
+// Turn a classified hand into armor instead of damage, up to the rules' armorCap
+function buildArmor(room, playerIndex, hand, random = Math.random) {
+  const currentPlayer = room.players[playerIndex]
+  const { armorCap } = room.rules
+
+  const oldArmor = currentPlayer.armor
+  currentPlayer.armor = Math.min(armorCap, currentPlayer.armor + hand.armor)
+  const armorGained = currentPlayer.armor - oldArmor
+
+  console.log(
+    `🛡️ ${currentPlayer.name} built ${armorGained} armor with ${hand.type} (Total: ${currentPlayer.armor}/${armorCap})`,
+  )
+
+  replaceHand(room, currentPlayer, random)
+  advanceTurn(room)
+
+  return { handResult: toHandResult(hand), armorGained }
+}
+
+function finishGame(room) {
+  room.gameState = "ended"
+}
+
+module.exports = {
+  PARRY_RULES,
+  dealGame,
+  advanceTurn,
+  discardCards,
+  makePrediction,
+  commitParry,
+  forfeitSeat,
+  playHand,
+  buildArmor,
+  finishGame,
+}
@@ -0,0 +1,122 @@
+const { classifyHand } = require("./rules")
+const engine = require("./engine")
+const { createDeck, deckForTable } = require("./deck")
+const { hashSeed, seedState, createRandom } = require("./random")
+
+// Match log: an append-only record of every action in a game, enough to rebuild each intermediate state.
+// All randomness (shuffle, coin flip, discard pile reshuffles) comes from the match seed, which is logged too.
+
+function createMatchLog(matchId, room, deck, modeConfig) {
+  return {
+    id: matchId,
+    roomId: room.id,
+    roomName: room.name,
+    gameMode: room.gameMode,
+    modeConfig,
+    teams: room.teams,
+    seed: room.seed,
+    seedHash: room.seedHash,
+    players: room.players.map((p) => ({ id: p.id, name: p.name })),
+    initialDeck: deck.map(({ id, suit, rank }) => ({ id, suit, rank })),
+    startedAt: Date.now(),
+    endedAt: null,
+    entries: [],
+  }
+}
+
+function appendEntry(log, type, data = {}) {
+  const entry = { seq: log.entries.length, at: Date.now(), type, ...data }
+  log.entries.push(entry)
+  return entry
+}
+
+function closeMatchLog(log) {
+  if (!log.endedAt) log.endedAt = Date.now()
+}
+
+function snapshot(room) {
+  return JSON.parse(JSON.stringify(room))
+}
+
+function findCards(room, playerIndex, cardIds) {
+  const hand = room.players[playerIndex].hand
+  return cardIds.map((id) => hand.find((c) => c.id === id))
+}
+
+// Rebuild the room after every entry of a match log. The deck is reshuffled from the seed and checked
+// against the logged one, then every action draws from the same random stream as the live game did.
+function replayMatch(log) {
+  if (hashSeed(log.seed) !== log.seedHash) throw new Error("Match seed does not match its published hash")
+
+  const random = createRandom(seedState(log.seed))
+  const deck = createDeck(random, deckForTable(log.modeConfig.deck, log.players.length, log.modeConfig.handSize))
+  if (deck.some((card, i) => card.id !== log.initialDeck[i].id)) {
+    throw new Error("Match seed does not reproduce the logged deck")
+  }
+
+  const room = {
+    id: log.roomId,
+    name: log.roomName,
+    gameMode: log.gameMode,
+    teams: !!log.teams,
+    players: log.players.map((p) => ({ ...p })),
+    gameState: "waiting",
+    deck: [],
+  }
+  const { ruleset } = log.modeConfig
+
+  return log.entries.map((entry) => {
+    switch (entry.type) {
+      case "gameStarted":
+        engine.dealGame(room, deck, log.modeConfig, random, entry.startingPlayer)
+        break
+      case "discardCards":
+        engine.discardCards(room, entry.playerIndex, findCards(room, entry.playerIndex, entry.cardIds), random)
+        break
+      case "makePrediction":
+        engine.makePrediction(room, entry.playerIndex, entry.prediction)
+        break
+      case "commitParry":
+        engine.commitParry(room, entry.playerIndex, findCards(room, entry.playerIndex, entry.cardIds))
+        break
+      case "playHand":
+        engine.playHand(
+          room,
+          entry.playerIndex,
+          classifyHand(findCards(room, entry.playerIndex, entry.cardIds), ruleset),
+          random,
+          entry.targetIndex,
+        )
+        break
+      case "seatForfeited":
+        engine.forfeitSeat(room, entry.playerIndex)
+        break
+      case "buildArmor":
+        engine.buildArmor(
+          room,
+          entry.playerIndex,
+          classifyHand(findCards(room, entry.playerIndex, entry.cardIds), ruleset),
+          random,
+        )
+        break
+      case "turnSkipped":
+        engine.advanceTurn(room)
+        break
+      case "gameEnded":
+        engine.finishGame(room)
+        break
+      default:
+        // playerLeft and other informational entries don't change game state
+        break
+    }
+
+    return { seq: entry.seq, type: entry.type, state: snapshot(room) }
+  })
+}
+
+module.exports = {
+  createMatchLog,
+  appendEntry,
+  closeMatchLog,
+  replayMatch,
+}
@@ -0,0 +1,141 @@
+// Ranked matchmaking: one queue per game mode, pairing players by rating. The search window starts
+// narrow and widens the longer someone waits, so nobody sits in the queue forever.
+
+const INITIAL_SEARCH_WINDOW = 100
+const SEARCH_WINDOW_GROWTH_PER_SECOND = 10
+const MAX_SEARCH_WINDOW = 1000
+const MATCHMAKING_TICK_MS = 1000
+
+// The private key a player's ratings are stored under: their account, so the rating follows them between
+// sessions. Only signed-in players can queue, so guests have none.
+function ratingKey(player) {
+  return player.accountId ? `account:${player.accountId}` : null
+}
+
+function searchWindow(entry, now) {
+  const waitedSeconds = (now - entry.joinedAt) / 1000
+  return Math.min(MAX_SEARCH_WINDOW, INITIAL_SEARCH_WINDOW + waitedSeconds * SEARCH_WINDOW_GROWTH_PER_SECOND)
+}
+
+function createMatchmaker(core) {
+  const queues = new Map() // gameMode -> [{ player, rating, joinedAt }]
+  let tickTimer = null
+
+  function join(player, gameMode) {
+    leave(player)
+
+    const entry = { player, rating: core.ratings.getRating(gameMode, ratingKey(player)), joinedAt: Date.now() }
+    if (!queues.has(gameMode)) queues.set(gameMode, [])
+    queues.get(gameMode).push(entry)
+
+    if (!tickTimer) tickTimer = setInterval(tick, MATCHMAKING_TICK_MS)
+    console.log(`⏳ ${player.name} (${entry.rating}) joined the ${gameMode} queue`)
+    return entry
+  }
+
+  // Returns whether the player was queued
+  function leave(player) {
+    let removed = false
+    queues.forEach((queue, gameMode) => {
+      const remaining = queue.filter((entry) => entry.player !== player)
+      removed = removed || remaining.length !== queue.length
+      queues.set(gameMode, remaining)
+    })
+    return removed
+  }
+
+  // Still connected, still known to the store and not sat down somewhere since joining
+  function isAvailable({ player }) {
+    return player.connected && !player.roomId && core.store.getPlayer(player.id) === player
+  }
+
+  function tick() {
+    const now = Date.now()
+
+    queues.forEach((queue, gameMode) => {
+      const waiting = queue.filter(isAvailable)
+
+      // Longest-waiting first, each takes the closest-rated opponent whose own window also covers them
+      const unmatched = []
+      while (waiting.length > 0) {
+        const entry = waiting.shift()
+        let best = -1
+        waiting.forEach((other, index) => {
+          const gap = Math.abs(entry.rating - other.rating)
+          if (gap > searchWindow(entry, now) || gap > searchWindow(other, now)) return
+          if (best === -1 || gap < Math.abs(entry.rating - waiting[best].rating)) best = index
+        })
+
+        if (best === -1) {
+          unmatched.push(entry)
+        } else {
+          startRankedMatch(gameMode, entry, waiting.splice(best, 1)[0])
+        }
+      }
+
+      queues.set(gameMode, unmatched)
+    })
+
+    if (Array.from(queues.values()).every((queue) => queue.length === 0)) {
+      clearInterval(tickTimer)
+      tickTimer = null
+    }
+  }
+
+  function startRankedMatch(gameMode, first, second) {
+    const modeName = core.getModeConfig({ gameMode }).name
+    const room = core.openRoom(first.player, { roomName: `Ranked ${modeName}`, gameMode, ranked: true })
+    core.seatPlayer(room, second.player)
+
+    ;[
+      [first, second],
+      [second, first],
+    ].forEach(([entry, opponent]) => {
+      core.io.sockets.sockets.get(entry.player.id)?.join(room.id)
+      core.io.to(entry.player.id).emit("matchFound", {
+        roomId: room.id,
+        gameMode,
+        rating: entry.rating,
+        opponent: { id: opponent.player.id, name: opponent.player.name, rating: opponent.rating },
+      })
+    })
+
+    console.log(`🤝 Matched ${first.player.name} (${first.rating}) vs ${second.player.name} (${second.rating})`)
+    core.io.emit("roomsUpdated")
+    core.startGame(room.id)
+  }
+
+  // Rate every finished game in a ranked room, rematches included. Leaving, or not reconnecting in time,
+  // forfeits the game (see removePlayerFromRoom), so it is rated as a loss too.
+  core.events.on("gameEnded", (room, winner) => {
+    if (!room.ranked || !winner) return
+
+    const loser = room.players.find((p) => p !== winner)
+    if (!loser || !ratingKey(winner) || !ratingKey(loser)) return
+
+    const result = core.ratings.recordResult(
+      room.gameMode,
+      { key: ratingKey(winner), name: winner.name },
+      { key: ratingKey(loser), name: loser.name },
+    )
+
+    core.io.to(room.id).emit("ratingsUpdated", {
+      gameMode: room.gameMode,
+      ratings: [
+        { playerId: winner.id, name: winner.name, ...result.winner },
+        { playerId: loser.id, name: loser.name, ...result.loser },
+      ],
+    })
+    console.log(`📈 ${winner.name} +${result.winner.delta}, ${loser.name} ${result.loser.delta} (${room.gameMode})`)
+  })
+
+  return {
+    join,
+    leave,
+  }
+}
+
+module.exports = {
+  createMatchmaker,
+  ratingKey,
+}
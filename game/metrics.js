@@ -0,0 +1,102 @@
+// Server metrics in the Prometheus text exposition format. Counters and histograms are kept here as events
+// happen; point-in-time values such as connected sockets are read from the core when /metrics is scraped.
+
+// Socket handler latency buckets, in milliseconds
+const LATENCY_BUCKETS_MS = [1, 5, 10, 25, 50, 100, 250, 500, 1000]
+
+const METRIC_INFO = {
+  demhan_connected_sockets: { type: "gauge", help: "Sockets currently connected, bots excluded" },
+  demhan_rooms: { type: "gauge", help: "Rooms by game state and mode" },
+  demhan_games_started_total: { type: "counter", help: "Games dealt, rematches included" },
+  demhan_games_finished_total: { type: "counter", help: "Games ended, by how they ended" },
+  demhan_rate_limited_total: { type: "counter", help: "Socket events refused by the rate limiter" },
+  demhan_game_length_turns: { type: "summary", help: "Turns taken by finished games" },
+  demhan_game_length_turns_average: { type: "gauge", help: "Average turns taken by a finished game" },
+  demhan_handler_duration_ms: { type: "histogram", help: "Time spent in socket event handlers" },
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels)
+  if (entries.length === 0) return ""
+  return `{${entries.map(([key, value]) => `${key}="${String(value).replace(/["\\\n]/g, "\\$&")}"`).join(",")}}`
+}
+
+function createMetrics() {
+  const counters = new Map() // name -> Map(labelString -> value)
+  const histograms = new Map() // labelString -> { labels, buckets, sum, count }
+  const gameLength = { sum: 0, count: 0 }
+
+  function increment(name, labels = {}) {
+    if (!counters.has(name)) counters.set(name, new Map())
+    const series = counters.get(name)
+    const key = formatLabels(labels)
+    series.set(key, (series.get(key) || 0) + 1)
+  }
+
+  function observeHandler(event, durationMs) {
+    const key = formatLabels({ event })
+    if (!histograms.has(key)) {
+      histograms.set(key, { labels: { event }, buckets: LATENCY_BUCKETS_MS.map(() => 0), sum: 0, count: 0 })
+    }
+    const histogram = histograms.get(key)
+    LATENCY_BUCKETS_MS.forEach((bound, i) => {
+      if (durationMs <= bound) histogram.buckets[i]++
+    })
+    histogram.sum += durationMs
+    histogram.count++
+  }
+
+  function observeGameLength(turns) {
+    gameLength.sum += turns
+    gameLength.count++
+  }
+
+  // gauges: { name: [{ labels, value }] } sampled by the caller at scrape time
+  function render(gauges) {
+    const lines = []
+    const header = (name) => {
+      lines.push(`# HELP ${name} ${METRIC_INFO[name].help}`)
+      lines.push(`# TYPE ${name} ${METRIC_INFO[name].type}`)
+    }
+
+    Object.entries(gauges).forEach(([name, samples]) => {
+      header(name)
+      samples.forEach(({ labels, value }) => lines.push(`${name}${formatLabels(labels)} ${value}`))
+    })
+
+    ;["demhan_games_started_total", "demhan_games_finished_total", "demhan_rate_limited_total"].forEach((name) => {
+      header(name)
+      ;(counters.get(name) || new Map()).forEach((value, key) => lines.push(`${name}${key} ${value}`))
+    })
+
+    header("demhan_game_length_turns")
+    lines.push(`demhan_game_length_turns_sum ${gameLength.sum}`)
+    lines.push(`demhan_game_length_turns_count ${gameLength.count}`)
+    header("demhan_game_length_turns_average")
+    lines.push(`demhan_game_length_turns_average ${gameLength.count ? gameLength.sum / gameLength.count : 0}`)
+
+    header("demhan_handler_duration_ms")
+    histograms.forEach(({ labels, buckets, sum, count }) => {
+      LATENCY_BUCKETS_MS.forEach((bound, i) => {
+        lines.push(`demhan_handler_duration_ms_bucket${formatLabels({ ...labels, le: bound })} ${buckets[i]}`)
+      })
+      lines.push(`demhan_handler_duration_ms_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`)
+      lines.push(`demhan_handler_duration_ms_sum${formatLabels(labels)} ${sum}`)
+      lines.push(`demhan_handler_duration_ms_count${formatLabels(labels)} ${count}`)
+    })
+
+    return `${lines.join("\n")}\n`
+  }
+
+  return {
+    increment,
+    observeHandler,
+    observeGameLength,
+    render,
+  }
+}
+
+module.exports = {
+  LATENCY_BUCKETS_MS,
+  createMetrics,
+}
@@ -0,0 +1,127 @@
+const { DEFAULT_RULESET } = require("./rules")
+const { STANDARD_DECK } = require("./deck")
+
+// Game modes
+const GAME_MODES = {
+  CLASSIC: "classic",
+  TACTICAL: "tactical",
+  RECYCLING: "recycling",
+}
+
+// Optional actions a mode can switch on besides playing hands
+const ACTIONS = {
+  DISCARD: "discard",
+  PREDICT: "predict",
+  PARRY: "parry",
+  BUILD_ARMOR: "buildArmor",
+}
+
+// Every parameter a mode declares. Modes below only list what they change.
+const BASE_MODE_CONFIG = {
+  startingHealth: 100,
+  // Cards dealt to each player, and what they draw back up to after playing
+  handSize: 8,
+  // Discards per turn, and cards per discard
+  maxDiscards: 3,
+  maxCardsPerDiscard: 3,
+  // Most armor a player can hold at once
+  armorCap: 50,
+  // Damage multipliers when the defender's prediction of the hand type is right or wrong
+  predictionMultipliers: { correct: 0.25, wrong: 1.25 },
+  actions: {
+    [ACTIONS.DISCARD]: true,
+    [ACTIONS.PREDICT]: false,
+    [ACTIONS.PARRY]: false,
+    [ACTIONS.BUILD_ARMOR]: false,
+  },
+  // Deck composition: copies shuffled together, short deck (no 2-5), jokers per copy. Bigger tables get extra
+  // copies on top so the draw pile doesn't run dry (deckForTable in game/deck.js).
+  deck: STANDARD_DECK,
+  ruleset: DEFAULT_RULESET,
+}
+
+// Game mode configurations
+const GAME_MODE_CONFIG = {
+  [GAME_MODES.CLASSIC]: {
+    name: "Classic",
+  },
+  [GAME_MODES.TACTICAL]: {
+    name: "Tactical",
+    actions: { [ACTIONS.PREDICT]: true, [ACTIONS.PARRY]: true, [ACTIONS.BUILD_ARMOR]: true },
+  },
+  [GAME_MODES.RECYCLING]: {
+    startingHealth: 500, // Increased HP for longer games
+    name: "Recycling",
+  },
+}
+
+// Bounds for the numeric rules a lobby may override at createRoom
+const RULE_LIMITS = {
+  startingHealth: { min: 1, max: 1000 },
+  handSize: { min: 5, max: 12 },
+  maxDiscards: { min: 0, max: 10 },
+  maxCardsPerDiscard: { min: 1, max: 12 },
+  armorCap: { min: 0, max: 200 },
+}
+const PREDICTION_MULTIPLIER_LIMITS = {
+  correct: { min: 0, max: 1 },
+  wrong: { min: 1, max: 3 },
+}
+const DECK_LIMITS = {
+  copies: { min: 1, max: 3 },
+  jokers: { min: 0, max: 4 },
+}
+
+// Layer a set of rule changes over a mode config; nested predictionMultipliers, actions and deck merge key by key
+function applyRuleOverrides(modeConfig, overrides = {}) {
+  return {
+    ...modeConfig,
+    ...overrides,
+    predictionMultipliers: { ...modeConfig.predictionMultipliers, ...overrides.predictionMultipliers },
+    actions: { ...modeConfig.actions, ...overrides.actions },
+    deck: { ...modeConfig.deck, ...overrides.deck },
+  }
+}
+
+// Keep only the rules a lobby may change, dropping anything else a client sent along (ruleset, name, ...)
+function pickRuleOverrides(overrides = {}) {
+  const pick = (source = {}, keys) =>
+    Object.fromEntries(keys.filter((key) => key in source).map((key) => [key, source[key]]))
+  return {
+    ...pick(overrides, Object.keys(RULE_LIMITS)),
+    predictionMultipliers: pick(overrides.predictionMultipliers, Object.keys(PREDICTION_MULTIPLIER_LIMITS)),
+    actions: pick(overrides.actions, Object.values(ACTIONS)),
+    deck: pick(overrides.deck, [...Object.keys(DECK_LIMITS), "shortDeck"]),
+  }
+}
+
+// Checks the schema can't express. Returns a problem description, or null if the rules hang together.
+function checkRules(rules) {
+  if (rules.maxCardsPerDiscard > rules.handSize) return "maxCardsPerDiscard can't be more than handSize"
+  if (rules.handSize < Math.max(...rules.ruleset.allowedCardCounts)) {
+    return `handSize must be at least ${Math.max(...rules.ruleset.allowedCardCounts)} to play every hand`
+  }
+  return null
+}
+
+// Merge a deployment's per-mode overrides over the default mode table
+function createModeTable(overrides = {}) {
+  const table = {}
+  Object.entries(GAME_MODE_CONFIG).forEach(([mode, modeConfig]) => {
+    table[mode] = applyRuleOverrides(applyRuleOverrides(BASE_MODE_CONFIG, modeConfig), overrides[mode])
+  })
+  return table
+}
+
+module.exports = {
+  GAME_MODES,
+  ACTIONS,
+  GAME_MODE_CONFIG,
+  RULE_LIMITS,
+  PREDICTION_MULTIPLIER_LIMITS,
+  DECK_LIMITS,
+  applyRuleOverrides,
+  pickRuleOverrides,
+  checkRules,
+  createModeTable,
+}
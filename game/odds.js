@@ -0,0 +1,93 @@
+const { DEFAULT_RULESET, classifyHand, isJoker } = require("./rules")
+const { STANDARD_DECK, createDeck } = require("./deck")
+
+// Prediction odds: how likely each hand type is to be the strongest one the opponent can play, estimated by
+// dealing their hand at random from every card the viewer can't see
+
+const DEFAULT_ODDS_SAMPLES = 500
+
+// Calls `visit` with the type of every valid hand some combination of the cards forms, classified by the rules.
+// Classification only looks at ranks, jokers and whether the natural cards share a suit, so combinations that
+// agree on those share one entry in `memo`.
+function forEachHandType(cards, ruleset, memo, visit) {
+  const sorted = [...cards].sort((a, b) => a.rank - b.rank)
+  const largest = Math.max(...ruleset.allowedCardCounts)
+  const combo = []
+  // `suit` is the one suit every natural card so far shares, false once they differ, null before the first
+  const extend = (start, key, suit) => {
+    if (ruleset.allowedCardCounts.includes(combo.length)) {
+      const comboKey = suit === false ? key : `${key}s`
+      if (!memo.has(comboKey)) {
+        const hand = classifyHand(combo, ruleset)
+        memo.set(comboKey, hand.valid ? hand.type : null)
+      }
+      const type = memo.get(comboKey)
+      if (type) visit(type)
+    }
+    if (combo.length === largest) return
+    for (let i = start; i < sorted.length; i++) {
+      const card = sorted[i]
+      const nextSuit = isJoker(card) ? suit : suit === null || suit === card.suit ? card.suit : false
+      combo.push(card)
+      extend(i + 1, `${key}${card.rank},`, nextSuit)
+      combo.pop()
+    }
+  }
+  extend(0, "", null)
+}
+
+// The hand type with the highest base damage among those the cards can form
+function bestHandType(cards, ruleset = DEFAULT_RULESET, memo = new Map()) {
+  let best = null
+  forEachHandType(cards, ruleset, memo, (type) => {
+    if (!best || ruleset.handRankings[type].damage > ruleset.handRankings[best].damage) best = type
+  })
+  return best
+}
+
+// Probability of each hand type being the opponent's best, given the cards the viewer holds, the opponent's
+// hand size and the table's deck. Assumes the opponent plays their strongest hand.
+function predictionOdds(
+  knownCards,
+  handSize,
+  ruleset = DEFAULT_RULESET,
+  deck = STANDARD_DECK,
+  samples = DEFAULT_ODDS_SAMPLES,
+) {
+  // With several copies in the deck, each known card only rules out one of them
+  const known = {}
+  knownCards.forEach((card) => {
+    const key = `${card.suit}-${card.rank}`
+    known[key] = (known[key] || 0) + 1
+  })
+  const unseen = createDeck(Math.random, deck).filter((card) => {
+    const key = `${card.suit}-${card.rank}`
+    if (!known[key]) return true
+    known[key]--
+    return false
+  })
+  const drawCount = Math.min(handSize, unseen.length)
+
+  const memo = new Map()
+  const tallies = {}
+  Object.keys(ruleset.handRankings).forEach((type) => (tallies[type] = 0))
+
+  for (let sample = 0; sample < samples; sample++) {
+    // Partial Fisher-Yates: the first drawCount cards become the sampled hand
+    for (let i = 0; i < drawCount; i++) {
+      const j = i + Math.floor(Math.random() * (unseen.length - i))
+      ;[unseen[i], unseen[j]] = [unseen[j], unseen[i]]
+    }
+    const type = bestHandType(unseen.slice(0, drawCount), ruleset, memo)
+    if (type) tallies[type]++
+  }
+
+  const odds = {}
+  Object.entries(tallies).forEach(([type, count]) => (odds[type] = count / samples))
+  return odds
+}
+
+module.exports = {
+  bestHandType,
+  predictionOdds,
+}
@@ -0,0 +1,92 @@
+const { ACTIONS } = require("./modes")
+const { sideOf } = require("./seats")
+
+// State projection: every outbound event goes through these so hidden cards never leave the server
+function projectPlayer(room, player, viewerId) {
+  const { actions } = room.rules
+  return {
+    id: player.id,
+    name: player.name,
+    connected: player.connected,
+    isBot: player.isBot,
+    health: player.health,
+    maxHealth: player.maxHealth,
+    handSize: player.hand ? player.hand.length : 0,
+    discardsUsed: player.discardsUsed,
+    maxDiscards: player.maxDiscards,
+    maxCardsPerDiscard: player.maxCardsPerDiscard,
+    consecutiveTimeouts: player.consecutiveTimeouts,
+    eliminated: !!player.eliminated,
+    // Set on a seat whose player left a game of three or more; it stays until the game ends
+    vacated: player.vacated || undefined,
+    team: room.teams ? sideOf(room, room.players.indexOf(player)) : undefined,
+    ...(actions[ACTIONS.BUILD_ARMOR] ? { armor: player.armor } : {}),
+    ...(actions[ACTIONS.PREDICT] ? { prediction: player.prediction } : {}),
+    ...(actions[ACTIONS.PARRY] ? { parryCount: (player.parryCards || []).length } : {}),
+    ...(player.id === viewerId ? { hand: player.hand, selectedCards: player.selectedCards } : {}),
+    ...(player.id === viewerId && actions[ACTIONS.PARRY] ? { parryCards: player.parryCards } : {}),
+  }
+}
+
+function projectPlayers(room, viewerId) {
+  return room.players.map((player) => projectPlayer(room, player, viewerId))
+}
+
+// The room's rules without the hand rankings table, which clients already know
+function projectRules(rules) {
+  const { ruleset, ...settings } = rules
+  return settings
+}
+
+function projectRoom(room, viewerId) {
+  return {
+    id: room.id,
+    name: room.name,
+    gameMode: room.gameMode,
+    rules: projectRules(room.rules),
+    maxPlayers: room.maxPlayers,
+    teams: room.teams,
+    gameState: room.gameState,
+    matchId: room.matchId,
+    // Commitment to the shuffle seed, which is only revealed once the game is over
+    seedHash: room.seedHash,
+    seed: room.gameState === "ended" ? room.seed : undefined,
+    currentPlayer: room.currentPlayer,
+    turn: room.turn,
+    lastPlayedHand: room.lastPlayedHand,
+    turnTimeLimitMs: room.turnTimeLimitMs,
+    turnDeadline: room.turnDeadline,
+    createdAt: room.createdAt,
+    startedAt: room.startedAt,
+    endedAt: room.endedAt,
+    maxConsecutiveTimeouts: room.maxConsecutiveTimeouts,
+    lockPredictions: room.lockPredictions,
+    predictionsLocked: room.predictionsLocked,
+    deckSize: room.deck ? room.deck.length : 0,
+    discardPileSize: room.discardPile ? room.discardPile.length : 0,
+    allowSpectators: room.allowSpectators,
+    isPrivate: room.isPrivate,
+    hasPassword: !!room.passwordHash,
+    // Only seated players get the invite code to pass on
+    inviteCode: room.players.some((p) => p.id === viewerId) ? room.inviteCode : undefined,
+    spectatorCount: room.spectators ? room.spectators.length : 0,
+    series: room.series
+      ? {
+          bestOf: room.series.bestOf,
+          wins: room.series.wins,
+          gamesPlayed: room.series.gamesPlayed,
+          winnerIndex: room.series.winnerIndex,
+        }
+      : undefined,
+    tournamentId: room.tournament ? room.tournament.id : undefined,
+    // Which seat asked for a rematch, and until when the other seat can accept
+    rematch: room.rematch || null,
+    players: projectPlayers(room, viewerId),
+  }
+}
+
+module.exports = {
+  projectPlayer,
+  projectPlayers,
+  projectRoom,
+}
@@ -0,0 +1,214 @@
+const { GAME_MODES, ACTIONS, RULE_LIMITS, PREDICTION_MULTIPLIER_LIMITS, DECK_LIMITS } = require("./modes")
+const { BOT_DIFFICULTIES } = require("./bot")
+const { MIN_PLAYERS, MAX_PLAYERS } = require("./seats")
+
+// Socket protocol: payload schemas for inbound events and the stable error codes sent back in acknowledgements.
+// Every handler answers its ack callback with { ok: true } or { ok: false, code, message }. A failure can also
+// name the event that clients without an ack callback have always been told on (error, invalidHand, ...).
+
+const ERROR_CODES = {
+  INVALID_PAYLOAD: "INVALID_PAYLOAD",
+  PLAYER_NOT_FOUND: "PLAYER_NOT_FOUND",
+  SESSION_EXPIRED: "SESSION_EXPIRED",
+  ROOM_NOT_FOUND: "ROOM_NOT_FOUND",
+  ROOM_FULL: "ROOM_FULL",
+  ALREADY_IN_ROOM: "ALREADY_IN_ROOM",
+  NOT_IN_ROOM: "NOT_IN_ROOM",
+  NOT_HOST: "NOT_HOST",
+  ACTION_DISABLED: "ACTION_DISABLED",
+  GAME_NOT_IN_PROGRESS: "GAME_NOT_IN_PROGRESS",
+  NOT_YOUR_TURN: "NOT_YOUR_TURN",
+  CARD_NOT_FOUND: "CARD_NOT_FOUND",
+  NO_CARDS_SELECTED: "NO_CARDS_SELECTED",
+  INVALID_HAND: "INVALID_HAND",
+  DISCARD_LIMIT: "DISCARD_LIMIT",
+  DECK_EXHAUSTED: "DECK_EXHAUSTED",
+  UNKNOWN_HAND_TYPE: "UNKNOWN_HAND_TYPE",
+  PREDICTIONS_LOCKED: "PREDICTIONS_LOCKED",
+  INVALID_PARRY: "INVALID_PARRY",
+  SPECTATING_DISABLED: "SPECTATING_DISABLED",
+  WRONG_PASSWORD: "WRONG_PASSWORD",
+  KICKED: "KICKED",
+  GAME_ALREADY_STARTED: "GAME_ALREADY_STARTED",
+  NOT_IN_QUEUE: "NOT_IN_QUEUE",
+  NAME_TAKEN: "NAME_TAKEN",
+  GAME_NOT_ENDED: "GAME_NOT_ENDED",
+  NO_OPPONENT: "NO_OPPONENT",
+  REMATCH_PENDING: "REMATCH_PENDING",
+  NO_REMATCH_PENDING: "NO_REMATCH_PENDING",
+  OWN_REMATCH_REQUEST: "OWN_REMATCH_REQUEST",
+  RATE_LIMITED: "RATE_LIMITED",
+  ROOM_LIMIT_REACHED: "ROOM_LIMIT_REACHED",
+  INVALID_RULES: "INVALID_RULES",
+  INVALID_TARGET: "INVALID_TARGET",
+  ELIMINATED: "ELIMINATED",
+  ACCOUNT_REQUIRED: "ACCOUNT_REQUIRED",
+}
+
+// Schema nodes: { type, optional, enum, min, max, integer, minLength, maxLength, minItems, maxItems, items, fields },
+// or { oneOf: [...] } for a payload that may take several shapes
+const roomId = { type: "string", minLength: 1 }
+const roomOnly = { type: "object", fields: { roomId } }
+const cardAction = { type: "object", fields: { roomId, cardId: { type: "string", minLength: 1 } } }
+
+// Overrides a host may put on a custom room's rules, each optional and bounded
+const mapValues = (object, toValue) => Object.fromEntries(Object.entries(object).map(([k, v]) => [k, toValue(v)]))
+const roomRules = {
+  type: "object",
+  optional: true,
+  fields: {
+    ...mapValues(RULE_LIMITS, (limits) => ({ type: "number", integer: true, optional: true, ...limits })),
+    predictionMultipliers: {
+      type: "object",
+      optional: true,
+      fields: mapValues(PREDICTION_MULTIPLIER_LIMITS, (limits) => ({ type: "number", optional: true, ...limits })),
+    },
+    actions: {
+      type: "object",
+      optional: true,
+      fields: Object.fromEntries(Object.values(ACTIONS).map((action) => [action, { type: "boolean", optional: true }])),
+    },
+    deck: {
+      type: "object",
+      optional: true,
+      fields: {
+        ...mapValues(DECK_LIMITS, (limits) => ({ type: "number", integer: true, optional: true, ...limits })),
+        shortDeck: { type: "boolean", optional: true },
+      },
+    },
+  },
+}
+
+// getRooms, leaveRoom and leaveQueue take no payload, so they have no schema
+const EVENT_SCHEMAS = {
+  setPlayerName: { type: "string", minLength: 1, maxLength: 32 },
+  resumeSession: { type: "object", fields: { sessionToken: { type: "string", minLength: 1 } } },
+  createRoom: {
+    type: "object",
+    fields: {
+      roomName: { type: "string", minLength: 1, maxLength: 64 },
+      gameMode: { type: "string", enum: Object.values(GAME_MODES), optional: true },
+      turnTimeLimit: { type: "number", optional: true },
+      maxConsecutiveTimeouts: { type: "number", optional: true },
+      allowSpectators: { type: "boolean", optional: true },
+      lockPredictions: { type: "boolean", optional: true },
+      bestOf: { type: "number", optional: true },
+      rules: roomRules,
+      maxPlayers: { type: "number", integer: true, min: MIN_PLAYERS, max: MAX_PLAYERS, optional: true },
+      teams: { type: "boolean", optional: true },
+      isPrivate: { type: "boolean", optional: true },
+      password: { type: "string", minLength: 1, maxLength: 64, optional: true },
+      bot: {
+        type: "object",
+        optional: true,
+        fields: {
+          difficulty: { type: "string", enum: Object.values(BOT_DIFFICULTIES), optional: true },
+          count: { type: "number", integer: true, min: 1, max: MAX_PLAYERS - 1, optional: true },
+        },
+      },
+    },
+  },
+  // A room id, or an invite code (required for private rooms) plus the password if the room has one
+  joinRoom: {
+    oneOf: [
+      roomId,
+      {
+        type: "object",
+        fields: {
+          roomId: { ...roomId, optional: true },
+          inviteCode: { type: "string", minLength: 1, maxLength: 16, optional: true },
+          password: { type: "string", maxLength: 64, optional: true },
+        },
+      },
+    ],
+  },
+  selectCard: cardAction,
+  markForDiscard: cardAction,
+  discardCards: roomOnly,
+  makePrediction: { type: "object", fields: { roomId, prediction: { type: "string", minLength: 1 } } },
+  getPredictionOdds: roomOnly,
+  commitParry: {
+    type: "object",
+    fields: { roomId, cardIds: { type: "array", minItems: 1, items: { type: "string", minLength: 1 } } },
+  },
+  playHand: {
+    type: "object",
+    fields: { roomId, targetIndex: { type: "number", integer: true, min: 0, max: MAX_PLAYERS - 1, optional: true } },
+  },
+  buildArmor: roomOnly,
+  requestRematch: roomOnly,
+  acceptRematch: roomOnly,
+  declineRematch: roomOnly,
+  spectateRoom: roomId,
+  joinQueue: { type: "object", fields: { gameMode: { type: "string", enum: Object.values(GAME_MODES) } } },
+  kickPlayer: { type: "object", fields: { roomId, playerId: { type: "string", minLength: 1 } } },
+  setSpectatorsAllowed: { type: "object", fields: { roomId, allowed: { type: "boolean" } } },
+}
+
+function typeOf(value) {
+  if (Array.isArray(value)) return "array"
+  if (value === null) return "null"
+  return typeof value
+}
+
+// Check a value against a schema node. Returns a description of the first problem, or null if it is valid.
+function validate(schema, value, path = "payload") {
+  if (value === undefined && schema.optional) return null
+
+  if (schema.oneOf) {
+    const problems = schema.oneOf.map((option) => validate(option, value, path))
+    return problems.includes(null) ? null : problems[problems.length - 1]
+  }
+
+  const type = typeOf(value)
+  if (type !== schema.type) return `${path} must be a ${schema.type}`
+  if (type === "number" && !Number.isFinite(value)) return `${path} must be a finite number`
+  if (schema.integer && !Number.isInteger(value)) return `${path} must be a whole number`
+  if (schema.min !== undefined && value < schema.min) return `${path} must be at least ${schema.min}`
+  if (schema.max !== undefined && value > schema.max) return `${path} must be at most ${schema.max}`
+
+  if (schema.enum && !schema.enum.includes(value)) return `${path} must be one of: ${schema.enum.join(", ")}`
+  if (schema.minLength !== undefined && value.length < schema.minLength) return `${path} is too short`
+  if (schema.maxLength !== undefined && value.length > schema.maxLength) return `${path} is too long`
+  if (schema.minItems !== undefined && value.length < schema.minItems)
+    return `${path} needs at least ${schema.minItems} items`
+  if (schema.maxItems !== undefined && value.length > schema.maxItems)
+    return `${path} allows at most ${schema.maxItems} items`
+
+  if (schema.items) {
+    for (let i = 0; i < value.length; i++) {
+      const problem = validate(schema.items, value[i], `${path}[${i}]`)
+      if (problem) return problem
+    }
+  }
+
+  if (schema.fields) {
+    for (const [name, field] of Object.entries(schema.fields)) {
+      const problem = validate(field, value[name], `${path}.${name}`)
+      if (problem) return problem
+    }
+  }
+
+  return null
+}
+
+function validatePayload(event, payload) {
+  const schema = EVENT_SCHEMAS[event]
+  return schema ? validate(schema, payload) : null
+}
+
+function ok(data = {}) {
+  return { ok: true, ...data }
+}
+
+function fail(code, message, legacyEvent = null) {
+  return { ok: false, code, message, legacyEvent }
+}
+
+module.exports = {
+  ERROR_CODES,
+  EVENT_SCHEMAS,
+  validatePayload,
+  ok,
+  fail,
+}
@@ -0,0 +1,38 @@
+const crypto = require("crypto")
+
+// Seeded randomness for fair, reproducible deals. Each match gets a secret seed; its SHA-256 hash is
+// published when the game starts and the seed itself is revealed when it ends, so players can check
+// that the deal was fixed up front. The generator state is a plain array so it can live on the room.
+
+function generateSeed() {
+  return crypto.randomBytes(16).toString("hex")
+}
+
+function hashSeed(seed) {
+  return crypto.createHash("sha256").update(seed).digest("hex")
+}
+
+// Derived from a different hash than the published commitment, so the hash gives nothing away.
+// The state is [key, counter]: an HMAC key and how many values have been drawn with it.
+function seedState(seed) {
+  return [crypto.createHash("sha256").update(`state:${seed}`).digest("hex"), 0]
+}
+
+// HMAC-SHA256 in counter mode over a state array, which it advances in place. Unlike a fast PRNG, the values
+// a player sees (shuffled order, coin flips) reveal nothing about the values still to come.
+function createRandom(state) {
+  return () => {
+    const block = Buffer.alloc(8)
+    block.writeBigUInt64BE(BigInt(state[1]))
+    state[1]++
+    const digest = crypto.createHmac("sha256", Buffer.from(state[0], "hex")).update(block).digest()
+    return digest.readUInt32BE(0) / 4294967296
+  }
+}
+
+module.exports = {
+  generateSeed,
+  hashSeed,
+  seedState,
+  createRandom,
+}
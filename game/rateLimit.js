@@ -0,0 +1,162 @@
+// Anti-flood: a token bucket per socket and one per client IP for every event name. A bucket holds up to
+// `capacity` calls and refills at `refillPerSecond`; a call that finds it empty is refused. Sockets that keep
+// getting refused are treated as abusive and disconnected. Per-address state is kept after the last socket
+// leaves, so reconnecting doesn't reset it.
+
+const DEFAULT_RATE_LIMITS = {
+  socket: {
+    default: { capacity: 20, refillPerSecond: 10 },
+    createRoom: { capacity: 3, refillPerSecond: 0.1 },
+    joinRoom: { capacity: 5, refillPerSecond: 1 },
+    getRooms: { capacity: 5, refillPerSecond: 1 },
+    selectCard: { capacity: 15, refillPerSecond: 8 },
+    markForDiscard: { capacity: 15, refillPerSecond: 8 },
+    getPredictionOdds: { capacity: 3, refillPerSecond: 0.5 },
+  },
+  // Shared by every socket from the same address, so opening more tabs doesn't buy more calls
+  ip: {
+    default: { capacity: 100, refillPerSecond: 50 },
+    createRoom: { capacity: 10, refillPerSecond: 0.5 },
+    // Each attempt at a password-protected room runs scrypt
+    joinRoom: { capacity: 10, refillPerSecond: 1 },
+    setPlayerName: { capacity: 10, refillPerSecond: 1 },
+    // Each request classifies every combination of hundreds of sampled hands
+    getPredictionOdds: { capacity: 5, refillPerSecond: 1 },
+  },
+  // HTTP routes, per client IP. Registering and logging in hash a password with scrypt on every call.
+  http: {
+    default: { capacity: 60, refillPerSecond: 10 },
+    auth: { capacity: 5, refillPerSecond: 0.2 },
+  },
+  // Refused calls allowed from one address within the window before the socket is dropped, and how long
+  // that address is then refused new connections
+  maxViolations: 30,
+  violationWindowMs: 10000,
+  abuseCooldownMs: 60000,
+}
+
+// Merge deployment overrides over the defaults, event by event
+function resolveRateLimits(overrides = {}) {
+  return {
+    ...DEFAULT_RATE_LIMITS,
+    ...overrides,
+    socket: { ...DEFAULT_RATE_LIMITS.socket, ...overrides.socket },
+    ip: { ...DEFAULT_RATE_LIMITS.ip, ...overrides.ip },
+    http: { ...DEFAULT_RATE_LIMITS.http, ...overrides.http },
+  }
+}
+
+// Addresses idle this long have refilled every bucket, so forgetting them changes nothing
+const IDLE_ADDRESS_MS = 10 * 60 * 1000
+
+function takeToken(buckets, rules, event, now) {
+  const rule = rules[event] || rules.default
+  let bucket = buckets.get(event)
+  if (!bucket) {
+    bucket = { tokens: rule.capacity, updatedAt: now }
+    buckets.set(event, bucket)
+  }
+
+  bucket.tokens = Math.min(rule.capacity, bucket.tokens + ((now - bucket.updatedAt) / 1000) * rule.refillPerSecond)
+  bucket.updatedAt = now
+  if (bucket.tokens < 1) return false
+
+  bucket.tokens--
+  return true
+}
+
+function createRateLimiter(limits) {
+  const sockets = new Map() // socketId -> { ip, buckets }
+  const ips = new Map() // ip -> { socketCount, buckets, violations, droppedAt, seenAt }
+
+  // An address outlives its sockets, so reconnecting refills nothing; it is forgotten once it has gone idle
+  function addressFor(ip, now) {
+    if (!ips.has(ip)) {
+      ips.forEach((address, key) => {
+        if (address.socketCount === 0 && now - address.seenAt > IDLE_ADDRESS_MS) ips.delete(key)
+      })
+      ips.set(ip, { socketCount: 0, buckets: new Map(), violations: [], droppedAt: null, seenAt: now })
+    }
+
+    const address = ips.get(ip)
+    address.seenAt = now
+    return address
+  }
+
+  function attach(socketId, ip) {
+    addressFor(ip, Date.now()).socketCount++
+    sockets.set(socketId, { ip, buckets: new Map() })
+  }
+
+  function detach(socketId) {
+    const client = sockets.get(socketId)
+    if (!client) return
+    sockets.delete(socketId)
+
+    const address = ips.get(client.ip)
+    address.socketCount--
+    address.seenAt = Date.now()
+  }
+
+  // Whether the address had a socket dropped for flooding within the cooldown
+  function isBlocked(ip) {
+    const address = ips.get(ip)
+    return Boolean(address && address.droppedAt !== null && Date.now() - address.droppedAt < limits.abuseCooldownMs)
+  }
+
+  // Spend a call on the event. Returns { allowed } and, once the address has been refused too often, abusive.
+  function consume(socketId, event) {
+    const client = sockets.get(socketId)
+    if (!client) return { allowed: true, abusive: false }
+
+    const now = Date.now()
+    const address = addressFor(client.ip, now)
+    // Both buckets are charged, so a call refused by one still costs the other
+    const socketAllowed = takeToken(client.buckets, limits.socket, event, now)
+    const ipAllowed = takeToken(address.buckets, limits.ip, event, now)
+    if (socketAllowed && ipAllowed) return { allowed: true, abusive: false }
+
+    address.violations = address.violations.filter((at) => now - at < limits.violationWindowMs)
+    address.violations.push(now)
+    const abusive = address.violations.length > limits.maxViolations
+    if (abusive) address.droppedAt = now
+    return { allowed: false, abusive }
+  }
+
+  return {
+    attach,
+    detach,
+    isBlocked,
+    consume,
+  }
+}
+
+// The same buckets for HTTP routes, which have no socket to hang them on: keyed by client IP alone
+function createAddressLimiter(rules) {
+  const addresses = new Map() // ip -> { buckets, seenAt }
+
+  function consume(ip, name) {
+    const now = Date.now()
+    if (!addresses.has(ip)) {
+      addresses.forEach((address, key) => {
+        if (now - address.seenAt > IDLE_ADDRESS_MS) addresses.delete(key)
+      })
+      addresses.set(ip, { buckets: new Map(), seenAt: now })
+    }
+
+    const address = addresses.get(ip)
+    address.seenAt = now
+    return takeToken(address.buckets, rules, name, now)
+  }
+
+  return {
+    consume,
+  }
+}
+
+module.exports = {
+  DEFAULT_RATE_LIMITS,
+  resolveRateLimits,
+  createRateLimiter,
+  createAddressLimiter,
+}
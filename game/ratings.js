@@ -0,0 +1,71 @@
+// Elo ratings per game mode, for games played in ranked rooms
+
+const DEFAULT_RATING = 1200
+const K_FACTOR = 32
+
+// Chance that a player rated `rating` beats one rated `opponentRating`
+function expectedScore(rating, opponentRating) {
+  return 1 / (1 + 10 ** ((opponentRating - rating) / 400))
+}
+
+// Ratings are kept through the storage adapter, keyed by a private player key, as
+// { name, rating, games, wins, losses }; names are kept alongside for the leaderboard
+function createRatingTable(store) {
+  function getEntry(gameMode, playerKey, name) {
+    const entry = store.getRating(gameMode, playerKey) || {
+      name,
+      rating: DEFAULT_RATING,
+      games: 0,
+      wins: 0,
+      losses: 0,
+    }
+    if (name) entry.name = name
+    return entry
+  }
+
+  function getRating(gameMode, playerKey) {
+    const entry = store.getRating(gameMode, playerKey)
+    return entry ? entry.rating : DEFAULT_RATING
+  }
+
+  // Apply one game's result and return each side's new rating and change
+  function recordResult(gameMode, winner, loser) {
+    const winnerEntry = getEntry(gameMode, winner.key, winner.name)
+    const loserEntry = getEntry(gameMode, loser.key, loser.name)
+
+    const delta = Math.round(K_FACTOR * (1 - expectedScore(winnerEntry.rating, loserEntry.rating)))
+    winnerEntry.rating += delta
+    loserEntry.rating -= delta
+    winnerEntry.games++
+    winnerEntry.wins++
+    loserEntry.games++
+    loserEntry.losses++
+    store.saveRating(gameMode, winner.key, winnerEntry)
+    store.saveRating(gameMode, loser.key, loserEntry)
+
+    return {
+      winner: { rating: winnerEntry.rating, delta },
+      loser: { rating: loserEntry.rating, delta: -delta },
+    }
+  }
+
+  function leaderboard(gameMode, limit = 50) {
+    return store
+      .listRatings(gameMode)
+      .sort((a, b) => b.rating - a.rating || b.wins - a.wins)
+      .slice(0, limit)
+      .map((entry, index) => ({ rank: index + 1, ...entry }))
+  }
+
+  return {
+    getRating,
+    recordResult,
+    leaderboard,
+  }
+}
+
+module.exports = {
+  DEFAULT_RATING,
+  expectedScore,
+  createRatingTable,
+}
@@ -0,0 +1,79 @@
+const express = require("express")
+const { USERNAME_PATTERN, MIN_PASSWORD_LENGTH, toProfile } = require("../accounts")
+const { createAddressLimiter } = require("../rateLimit")
+
+// Account registration, login and public player profiles
+function createAccountRoutes(core) {
+  const router = express.Router()
+  const limiter = createAddressLimiter(core.config.rateLimits.http)
+
+  // Register and login share one bucket per address, so neither can be used to guess passwords or tie up
+  // the server hashing them
+  router.use("/auth", (req, res, next) => {
+    if (!limiter.consume(req.ip, "auth")) {
+      core.metrics.increment("demhan_rate_limited_total", { event: "auth" })
+      res.status(429).json({ error: "Too many attempts, try again later" })
+      return
+    }
+    next()
+  })
+
+  function readCredentials(req, res) {
+    const { username, password } = req.body || {}
+    if (typeof username !== "string" || !USERNAME_PATTERN.test(username)) {
+      res.status(400).json({ error: "Username must be 3-20 letters, digits, underscores or dashes" })
+      return null
+    }
+    if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+      res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` })
+      return null
+    }
+    return { username, password }
+  }
+
+  // POST /auth/register { username, password } -> { token, profile }
+  router.post("/auth/register", async (req, res) => {
+    const credentials = readCredentials(req, res)
+    if (!credentials) return
+
+    const account = await core.accounts.register(credentials.username, credentials.password)
+    if (!account) {
+      res.status(409).json({ error: "Username is already taken" })
+      return
+    }
+
+    res.status(201).json({ token: core.accounts.issueToken(account), profile: toProfile(account) })
+  })
+
+  // POST /auth/login { username, password } -> { token, profile }
+  router.post("/auth/login", async (req, res) => {
+    const { username, password } = req.body || {}
+    const account =
+      typeof username === "string" && typeof password === "string"
+        ? await core.accounts.login(username, password)
+        : null
+    if (!account) {
+      res.status(401).json({ error: "Invalid username or password" })
+      return
+    }
+
+    res.json({ token: core.accounts.issueToken(account), profile: toProfile(account) })
+  })
+
+  // GET /players/:id - the account's public profile and lifetime stats
+  router.get("/players/:id", (req, res) => {
+    const profile = core.accounts.getProfile(req.params.id)
+    if (!profile) {
+      res.status(404).json({ error: "Player not found" })
+      return
+    }
+
+    res.json(profile)
+  })
+
+  return router
+}
+
+module.exports = {
+  createAccountRoutes,
+}
@@ -0,0 +1,154 @@
+const crypto = require("crypto")
+const express = require("express")
+const { projectRoom } = require("../projection")
+
+// Operator API: see what's running and step in. Every route needs `Authorization: Bearer <config.adminToken>`,
+// and the whole API answers 404 when no admin token is configured.
+function createAdminRoutes(core) {
+  const router = express.Router()
+
+  function isAdmin(req) {
+    const [scheme, token] = (req.get("authorization") || "").split(" ")
+    if (scheme !== "Bearer" || !token) return false
+
+    const expected = Buffer.from(core.config.adminToken)
+    const given = Buffer.from(token)
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected)
+  }
+
+  router.use("/admin", (req, res, next) => {
+    if (!core.config.adminToken) {
+      res.status(404).json({ error: "Admin API is not enabled" })
+      return
+    }
+    if (!isAdmin(req)) {
+      res.status(401).json({ error: "Admin token required" })
+      return
+    }
+    next()
+  })
+
+  function summarizePlayer(player) {
+    return {
+      id: player.id,
+      name: player.name,
+      accountId: player.accountId || null,
+      connected: player.connected,
+      isBot: player.isBot,
+      health: player.health,
+      eliminated: !!player.eliminated,
+    }
+  }
+
+  function summarizeRoom(room) {
+    return {
+      id: room.id,
+      name: room.name,
+      gameMode: room.gameMode,
+      gameState: room.gameState,
+      maxPlayers: room.maxPlayers,
+      teams: room.teams,
+      turn: room.turn,
+      currentPlayer: room.currentPlayer,
+      ranked: room.ranked,
+      isPrivate: room.isPrivate,
+      tournamentId: room.tournament ? room.tournament.id : null,
+      spectatorCount: room.spectators.length,
+      createdAt: room.createdAt,
+      lastActivityAt: room.lastActivityAt,
+      players: room.players.map(summarizePlayer),
+    }
+  }
+
+  // Load the :id room or answer 404
+  function findRoom(req, res) {
+    const room = core.store.getRoom(req.params.id)
+    if (!room) res.status(404).json({ error: "Room not found" })
+    return room
+  }
+
+  router.get("/admin/rooms", (req, res) => {
+    res.json({ rooms: core.store.listRooms().map(summarizeRoom) })
+  })
+
+  // The public view of the room (no hidden cards) plus what only operators see
+  router.get("/admin/rooms/:id", (req, res) => {
+    const room = findRoom(req, res)
+    if (!room) return
+
+    res.json({
+      ...projectRoom(room, null),
+      ranked: room.ranked,
+      turnDeadline: room.turnDeadline,
+      kickedPlayers: room.kickedPlayers.length,
+      players: room.players.map(summarizePlayer),
+      spectators: room.spectators.map(({ id, name }) => ({ id, name })),
+    })
+  })
+
+  // POST /admin/rooms/:id/end { winnerId? } - without a winner the game ends as a no-contest
+  router.post("/admin/rooms/:id/end", (req, res) => {
+    const room = findRoom(req, res)
+    if (!room) return
+
+    if (room.gameState !== "playing") {
+      res.status(409).json({ error: "No game in progress" })
+      return
+    }
+
+    const { winnerId } = req.body || {}
+    const winner = winnerId ? room.players.find((p) => p.id === winnerId) : null
+    if (winnerId && !winner) {
+      res.status(400).json({ error: "The winner must be seated in this room" })
+      return
+    }
+
+    core.endGame(room, winner, "adminEnded")
+    console.log(`🛑 Admin ended the game in room ${room.name} (${room.id})`)
+    res.json(summarizeRoom(room))
+  })
+
+  router.delete("/admin/rooms/:id", (req, res) => {
+    const room = findRoom(req, res)
+    if (!room) return
+
+    core.closeRoom(room, "adminClosed")
+    console.log(`🗑️ Admin closed room ${room.name} (${room.id})`)
+    res.status(204).end()
+  })
+
+  // POST /admin/rooms/:id/kick { playerId }
+  router.post("/admin/rooms/:id/kick", (req, res) => {
+    const room = findRoom(req, res)
+    if (!room) return
+
+    const target = room.players.find((p) => p.id === (req.body || {}).playerId)
+    if (!target) {
+      res.status(404).json({ error: "That player is not in this room" })
+      return
+    }
+
+    core.kickFromRoom(room, target)
+    console.log(`👢 Admin kicked ${target.name} from room ${room.name}`)
+    res.status(204).end()
+  })
+
+  // POST /admin/broadcast { message } - shown to every connected socket as a maintenanceNotice
+  router.post("/admin/broadcast", (req, res) => {
+    const { message } = req.body || {}
+    if (typeof message !== "string" || message.length === 0 || message.length > 500) {
+      res.status(400).json({ error: "Message must be 1-500 characters" })
+      return
+    }
+
+    core.io.emit("maintenanceNotice", { message, sentAt: Date.now() })
+    console.log(`📢 Admin broadcast: ${message}`)
+    res.json({ recipients: core.io.sockets.sockets.size })
+  })
+
+  return router
+}
+
+module.exports = {
+  createAdminRoutes,
+}
@@ -0,0 +1,50 @@
+const express = require("express")
+const { GAME_MODES } = require("../modes")
+
+const ROOM_STATES = ["waiting", "playing", "ended"]
+
+// Probes for the process supervisor and a Prometheus scrape target
+function createHealthRoutes(core) {
+  const router = express.Router()
+  const startedAt = Date.now()
+
+  // Liveness: the event loop is answering
+  router.get("/healthz", (req, res) => {
+    res.json({ status: "ok", uptimeSeconds: Math.floor((Date.now() - startedAt) / 1000) })
+  })
+
+  // Readiness: the store answers, so rooms can be created and restored games played
+  router.get("/readyz", (req, res) => {
+    try {
+      const rooms = core.store.listRooms().length
+      res.json({ status: "ready", rooms })
+    } catch (error) {
+      console.error("❌ Readiness check failed:", error)
+      res.status(503).json({ status: "unavailable", error: error.message })
+    }
+  })
+
+  router.get("/metrics", (req, res) => {
+    const rooms = core.store.listRooms()
+    const roomSamples = []
+    Object.values(GAME_MODES).forEach((gameMode) => {
+      ROOM_STATES.forEach((gameState) => {
+        const value = rooms.filter((room) => room.gameMode === gameMode && room.gameState === gameState).length
+        roomSamples.push({ labels: { gameState, gameMode }, value })
+      })
+    })
+
+    res.type("text/plain; version=0.0.4").send(
+      core.metrics.render({
+        demhan_connected_sockets: [{ labels: {}, value: core.io.sockets.sockets.size }],
+        demhan_rooms: roomSamples,
+      }),
+    )
+  })
+
+  return router
+}
+
+module.exports = {
+  createHealthRoutes,
+}
@@ -0,0 +1,26 @@
+const express = require("express")
+const { GAME_MODES } = require("../modes")
+
+// Ranked ladder for one game mode
+function createLeaderboardRoutes(core) {
+  const router = express.Router()
+
+  // GET /leaderboard?mode=classic&limit=50
+  router.get("/leaderboard", (req, res) => {
+    const mode = req.query.mode || GAME_MODES.CLASSIC
+
+    if (!Object.values(GAME_MODES).includes(mode)) {
+      res.status(400).json({ error: `Unknown game mode: ${mode}` })
+      return
+    }
+
+    const limit = Math.min(100, Math.max(1, Number(req.query.limit) || 50))
+    res.json({ mode, players: core.ratings.leaderboard(mode, limit) })
+  })
+
+  return router
+}
+
+module.exports = {
+  createLeaderboardRoutes,
+}
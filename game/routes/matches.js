@@ -0,0 +1,32 @@
+const express = require("express")
+const { replayMatch } = require("../matchLog")
+
+// Match history: finished games can be downloaded with their full action log
+function createMatchRoutes(core) {
+  const router = express.Router()
+
+  // GET /matches/:id/replay?states=1 also returns every intermediate state rebuilt from the log
+  router.get("/matches/:id/replay", (req, res) => {
+    const log = core.matchLogs.get(req.params.id)
+
+    if (!log) {
+      res.status(404).json({ error: "Match not found" })
+      return
+    }
+
+    // The log reveals every hand, so it is only served once the game is over
+    if (!log.endedAt) {
+      res.status(409).json({ error: "Match is still in progress" })
+      return
+    }
+
+    res.attachment(`match-${log.id}.json`)
+    res.json(req.query.states ? { ...log, states: replayMatch(log) } : log)
+  })
+
+  return router
+}
+
+module.exports = {
+  createMatchRoutes,
+}
@@ -0,0 +1,105 @@
+const express = require("express")
+const { GAME_MODES } = require("../modes")
+const { MAX_SERIES_LENGTH } = require("../series")
+const {
+  TOURNAMENT_FORMATS,
+  MIN_TOURNAMENT_PLAYERS,
+  MAX_TOURNAMENT_PLAYERS,
+  projectTournament,
+} = require("../tournaments")
+
+// Tournament brackets: organizers create them, anyone can follow them
+function createTournamentRoutes(core) {
+  const router = express.Router()
+
+  // The account behind an `Authorization: Bearer <token>` header, as issued by /auth/login
+  function readAccount(req) {
+    const [scheme, token] = (req.get("authorization") || "").split(" ")
+    return scheme === "Bearer" ? core.accounts.verifyToken(token) : null
+  }
+
+  router.get("/tournaments", (req, res) => {
+    const tournaments = core.tournaments.list().map(({ id, name, format, gameMode, status, players, winner }) => ({
+      id,
+      name,
+      format,
+      gameMode,
+      status,
+      playerCount: players.length,
+      winner,
+    }))
+    res.json({ tournaments })
+  })
+
+  router.get("/tournaments/:id", (req, res) => {
+    const tournament = core.tournaments.get(req.params.id)
+    if (!tournament) {
+      res.status(404).json({ error: "Tournament not found" })
+      return
+    }
+
+    res.json(projectTournament(tournament))
+  })
+
+  // POST /tournaments { name, format, gameMode?, bestOf?, players: [username, ...] }
+  // Players are registered usernames, listed in seeding order
+  router.post("/tournaments", (req, res) => {
+    const organizer = readAccount(req)
+    if (!organizer) {
+      res.status(401).json({ error: "Sign in to organize a tournament" })
+      return
+    }
+
+    const { name, format, gameMode = GAME_MODES.CLASSIC, bestOf = 1, players } = req.body || {}
+    if (typeof name !== "string" || name.length === 0 || name.length > 64) {
+      res.status(400).json({ error: "Tournament name must be 1-64 characters" })
+      return
+    }
+    if (!Object.values(TOURNAMENT_FORMATS).includes(format)) {
+      res.status(400).json({ error: `Format must be one of: ${Object.values(TOURNAMENT_FORMATS).join(", ")}` })
+      return
+    }
+    if (!Object.values(GAME_MODES).includes(gameMode)) {
+      res.status(400).json({ error: `Unknown game mode: ${gameMode}` })
+      return
+    }
+    if (!Number.isInteger(bestOf) || bestOf < 1 || bestOf > MAX_SERIES_LENGTH || bestOf % 2 === 0) {
+      res.status(400).json({ error: `bestOf must be an odd number from 1 to ${MAX_SERIES_LENGTH}` })
+      return
+    }
+    if (!Array.isArray(players) || players.length < MIN_TOURNAMENT_PLAYERS || players.length > MAX_TOURNAMENT_PLAYERS) {
+      res.status(400).json({ error: `A tournament needs ${MIN_TOURNAMENT_PLAYERS}-${MAX_TOURNAMENT_PLAYERS} players` })
+      return
+    }
+
+    const entrants = []
+    for (const username of players) {
+      const account = typeof username === "string" ? core.store.findAccountByUsername(username) : null
+      if (!account) {
+        res.status(400).json({ error: `No registered player named ${username}` })
+        return
+      }
+      if (entrants.some((entrant) => entrant.accountId === account.id)) {
+        res.status(400).json({ error: `${account.username} is entered twice` })
+        return
+      }
+      entrants.push({ accountId: account.id, username: account.username })
+    }
+
+    const tournament = core.tournaments.create({
+      name,
+      format,
+      gameMode,
+      bestOf,
+      organizer: { accountId: organizer.id, username: organizer.username },
+      entrants,
+    })
+    res.status(201).json(projectTournament(tournament))
+  })
+
+  return router
+}
+
+module.exports = {
+  createTournamentRoutes,
+}
@@ -0,0 +1,244 @@
+// Hand rules: classifies a set of cards once and derives validity, hand type and damage from a ruleset.
+// Jokers (see game/deck.js) are wild: a hand containing them resolves to the strongest hand it can legally form.
+
+const HAND_TYPES = {
+  FIVE_OF_A_KIND: "Five of a Kind",
+  ROYAL_FLUSH: "Royal Flush",
+  STRAIGHT_FLUSH: "Straight Flush",
+  FOUR_OF_A_KIND: "Four of a Kind",
+  FULL_HOUSE: "Full House",
+  FLUSH: "Flush",
+  STRAIGHT: "Straight",
+  THREE_OF_A_KIND: "Three of a Kind",
+  TWO_PAIR: "Two Pair",
+  ONE_PAIR: "One Pair",
+  HIGH_CARD: "High Card",
+}
+
+const DEFAULT_RULESET = {
+  // How many cards may be played at once
+  allowedCardCounts: [1, 2, 3, 4, 5],
+  // Whether 10-J-Q-K-A counts as a Straight (a suited one is always a Royal Flush)
+  aceHighStraights: true,
+  // Face value an ace adds to damage; other cards add their rank
+  aceValue: 14,
+  // Base damage and Tactical-mode armor for each hand type
+  handRankings: {
+    [HAND_TYPES.FIVE_OF_A_KIND]: { damage: 60, armor: 40, description: "5 cards of same rank" },
+    [HAND_TYPES.ROYAL_FLUSH]: { damage: 50, armor: 35, description: "A, K, Q, J, 10 of same suit" },
+    [HAND_TYPES.STRAIGHT_FLUSH]: { damage: 40, armor: 30, description: "5 consecutive cards of same suit" },
+    [HAND_TYPES.FOUR_OF_A_KIND]: { damage: 35, armor: 25, description: "4 cards of same rank" },
+    [HAND_TYPES.FULL_HOUSE]: { damage: 30, armor: 22, description: "3 of a kind + pair" },
+    [HAND_TYPES.FLUSH]: { damage: 25, armor: 18, description: "5 cards of same suit" },
+    [HAND_TYPES.STRAIGHT]: { damage: 20, armor: 15, description: "5 consecutive cards" },
+    [HAND_TYPES.THREE_OF_A_KIND]: { damage: 15, armor: 12, description: "3 cards of same rank" },
+    [HAND_TYPES.TWO_PAIR]: { damage: 10, armor: 8, description: "2 pairs of different ranks" },
+    [HAND_TYPES.ONE_PAIR]: { damage: 5, armor: 5, description: "2 cards of same rank" },
+    [HAND_TYPES.HIGH_CARD]: { damage: 1, armor: 2, description: "Highest card" },
+  },
+}
+
+// Build a ruleset from the defaults; hand rankings are merged per hand type
+function createRuleset(overrides = {}) {
+  const handRankings = { ...DEFAULT_RULESET.handRankings }
+  Object.entries(overrides.handRankings || {}).forEach(([type, ranking]) => {
+    handRankings[type] = { ...handRankings[type], ...ranking }
+  })
+
+  return { ...DEFAULT_RULESET, ...overrides, handRankings }
+}
+
+const RANKS = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13]
+
+function isJoker(card) {
+  return card.suit === "joker"
+}
+
+function rankValue(rank, ruleset) {
+  return rank === 1 ? ruleset.aceValue : rank
+}
+
+// A joker on its own is worth as much as an ace
+function cardValue(card, ruleset = DEFAULT_RULESET) {
+  return isJoker(card) ? ruleset.aceValue : rankValue(card.rank, ruleset)
+}
+
+function describeCardCounts(counts) {
+  if (counts.length === 1) return `${counts[0]}`
+  return `${counts.slice(0, -1).join(", ")}, or ${counts[counts.length - 1]}`
+}
+
+// Face value of the best way to fill groups of same-rank cards of the given sizes (largest first), each group a
+// different rank, or null if the natural cards don't fit. Jokers make up whatever the groups are short of.
+function groupedFaceValue(naturals, sizes, ruleset) {
+  const rankCounts = {}
+  naturals.forEach((card) => {
+    rankCounts[card.rank] = (rankCounts[card.rank] || 0) + 1
+  })
+
+  const naturalRanks = Object.keys(rankCounts).map(Number)
+  if (naturalRanks.length > sizes.length) return null
+
+  // Jokers filling a group of their own only ever take one of the highest-valued ranks
+  const freeRanks = RANKS.filter((rank) => !rankCounts[rank])
+    .sort((a, b) => rankValue(b, ruleset) - rankValue(a, ruleset))
+    .slice(0, sizes.length)
+  const candidates = [...naturalRanks, ...freeRanks]
+
+  let best = null
+  const assign = (group, used, face) => {
+    if (group === sizes.length) {
+      if (naturalRanks.every((rank) => used.includes(rank))) best = Math.max(best ?? face, face)
+      return
+    }
+    candidates.forEach((rank) => {
+      if (used.includes(rank) || (rankCounts[rank] || 0) > sizes[group]) return
+      assign(group + 1, [...used, rank], face + rankValue(rank, ruleset) * sizes[group])
+    })
+  }
+  assign(0, [], 0)
+  return best
+}
+
+// Five consecutive ranks, ace low through ace high
+const RUNS = [...Array.from({ length: 9 }, (_, i) => [1, 2, 3, 4, 5].map((rank) => rank + i)), [10, 11, 12, 13, 1]]
+const BROADWAY = RUNS[RUNS.length - 1]
+
+// Every hand type the cards can be played as, with its face value. Natural cards form at most one of the
+// five-card types besides a plain Flush; jokers can open up several.
+function formableHands(cards, ruleset) {
+  const naturals = cards.filter((card) => !isJoker(card))
+  const wilds = cards.length - naturals.length
+  const hands = []
+  const add = (type, faceValue) => {
+    if (faceValue !== null) hands.push({ type, faceValue })
+  }
+
+  const ofAKind = {
+    1: HAND_TYPES.HIGH_CARD,
+    2: HAND_TYPES.ONE_PAIR,
+    3: HAND_TYPES.THREE_OF_A_KIND,
+    4: HAND_TYPES.FOUR_OF_A_KIND,
+    5: HAND_TYPES.FIVE_OF_A_KIND,
+  }
+  if (ofAKind[cards.length]) add(ofAKind[cards.length], groupedFaceValue(naturals, [cards.length], ruleset))
+  if (cards.length === 4) add(HAND_TYPES.TWO_PAIR, groupedFaceValue(naturals, [2, 2], ruleset))
+
+  if (cards.length === 5) {
+    add(HAND_TYPES.FULL_HOUSE, groupedFaceValue(naturals, [3, 2], ruleset))
+
+    const suited = naturals.every((card) => card.suit === naturals[0].suit)
+    const naturalFace = naturals.reduce((total, card) => total + cardValue(card, ruleset), 0)
+    if (suited) add(HAND_TYPES.FLUSH, naturalFace + wilds * ruleset.aceValue)
+
+    const ranks = naturals.map((card) => card.rank)
+    const distinct = new Set(ranks).size === ranks.length
+    RUNS.forEach((run) => {
+      if (!distinct || !ranks.every((rank) => run.includes(rank))) return
+      const faceValue = run.reduce((total, rank) => total + rankValue(rank, ruleset), 0)
+      const isBroadway = run === BROADWAY
+
+      if (suited && isBroadway) add(HAND_TYPES.ROYAL_FLUSH, faceValue)
+      else if (suited) add(HAND_TYPES.STRAIGHT_FLUSH, faceValue)
+      else if (!isBroadway || ruleset.aceHighStraights) add(HAND_TYPES.STRAIGHT, faceValue)
+    })
+  }
+
+  return hands
+}
+
+// Work out the strongest hand the cards form, or why they don't form one
+function detectHandType(cards, ruleset) {
+  const damageOf = ({ type, faceValue }) => ruleset.handRankings[type].damage + faceValue
+  const hands = formableHands(cards, ruleset)
+  if (hands.length > 0) return hands.reduce((best, hand) => (damageOf(hand) > damageOf(best) ? hand : best))
+
+  switch (cards.length) {
+    case 2:
+      return { reason: "Two cards must be a pair (same rank)" }
+    case 3:
+      return { reason: "Three cards must be three of a kind (same rank)" }
+    case 4:
+      return { reason: "Four cards must be either four of a kind or two pair" }
+    case 5:
+      return {
+        reason: "5 cards must form: Straight, Flush, Full House, Straight Flush, Royal Flush, or Five of a Kind",
+      }
+    default:
+      return { reason: `Invalid number of cards: ${cards.length}.` }
+  }
+}
+
+// Classify a card set against a ruleset. Invalid sets still report their face value but deal no damage; valid
+// ones count each joker as the card it stands in for. The cards themselves are kept on the result for rules that look at them later, such as parries.
+function classifyHand(cards, ruleset = DEFAULT_RULESET) {
+  const faceValue = cards.reduce((total, card) => total + cardValue(card, ruleset), 0)
+  const invalid = (reason) => ({
+    valid: false,
+    reason,
+    type: cards.length === 0 ? "No Cards" : "Invalid Hand",
+    baseDamage: 0,
+    faceValue,
+    damage: 0,
+    armor: 0,
+    description: reason,
+    cards,
+  })
+
+  if (cards.length === 0) return invalid("No cards selected")
+
+  if (!ruleset.allowedCardCounts.includes(cards.length)) {
+    return invalid(
+      `Invalid number of cards: ${cards.length}. Play ${describeCardCounts(ruleset.allowedCardCounts)} cards only.`,
+    )
+  }
+
+  const { type, faceValue: resolvedFaceValue, reason } = detectHandType(cards, ruleset)
+  if (!type) return invalid(reason)
+
+  const ranking = ruleset.handRankings[type]
+
+  return {
+    valid: true,
+    reason: null,
+    type,
+    baseDamage: ranking.damage,
+    faceValue: resolvedFaceValue,
+    damage: ranking.damage + resolvedFaceValue,
+    armor: ranking.armor,
+    description: `${ranking.description} (Base: ${ranking.damage} + Face: ${resolvedFaceValue})`,
+    cards,
+  }
+}
+
+// The public part of a classification, as sent to clients in handPlayed/armorBuilt
+function toHandResult(hand) {
+  return {
+    type: hand.type,
+    damage: hand.damage,
+    baseDamage: hand.baseDamage,
+    faceValue: hand.faceValue,
+    description: hand.description,
+  }
+}
+
+function validateHand(cards, ruleset = DEFAULT_RULESET) {
+  const hand = classifyHand(cards, ruleset)
+  return hand.valid ? { valid: true } : { valid: false, error: hand.reason }
+}
+
+function evaluateHand(cards, ruleset = DEFAULT_RULESET) {
+  return toHandResult(classifyHand(cards, ruleset))
+}
+
+module.exports = {
+  HAND_TYPES,
+  DEFAULT_RULESET,
+  createRuleset,
+  isJoker,
+  cardValue,
+  classifyHand,
+  toHandResult,
+  validateHand,
+  evaluateHand,
+}
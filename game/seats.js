@@ -0,0 +1,62 @@
+// Seating for rooms of two to four players. In a free-for-all every seat is its own side; in a team room the
+// four seats split into two teams, seats 0 and 2 against seats 1 and 3, so turns alternate between the teams.
+// Seats knocked out or forfeited are marked eliminated and skipped until the game ends.
+
+const MIN_PLAYERS = 2
+const MAX_PLAYERS = 4
+const TEAM_ROOM_SIZE = 4
+
+// The side a seat plays for: its team in a team room, otherwise the seat itself
+function sideOf(room, seat) {
+  return room.teams ? seat % 2 : seat
+}
+
+function sideCount(room) {
+  return room.teams ? 2 : room.maxPlayers || room.players.length
+}
+
+// Seats still in the game, in turn order starting after `seat`
+function activeSeatsAfter(room, seat) {
+  const seats = []
+  for (let step = 1; step <= room.players.length; step++) {
+    const next = (seat + step) % room.players.length
+    if (!room.players[next].eliminated) seats.push(next)
+  }
+  return seats
+}
+
+// The seat that plays after `seat`, skipping anyone eliminated
+function nextActiveSeat(room, seat) {
+  const seats = activeSeatsAfter(room, seat)
+  return seats.length > 0 ? seats[0] : seat
+}
+
+// Seats `seat` may attack, in turn order: everyone still in the game on another side
+function targetSeats(room, seat) {
+  return activeSeatsAfter(room, seat).filter((target) => sideOf(room, target) !== sideOf(room, seat))
+}
+
+// The only side with players left in, or null while two or more sides are still standing
+function survivingSide(room) {
+  const sides = new Set()
+  room.players.forEach((player, seat) => {
+    if (!player.eliminated) sides.add(sideOf(room, seat))
+  })
+  return sides.size === 1 ? [...sides][0] : null
+}
+
+function seatsOnSide(room, side) {
+  return room.players.map((_, seat) => seat).filter((seat) => sideOf(room, seat) === side)
+}
+
+module.exports = {
+  MIN_PLAYERS,
+  MAX_PLAYERS,
+  TEAM_ROOM_SIZE,
+  sideOf,
+  sideCount,
+  nextActiveSeat,
+  targetSeats,
+  survivingSide,
+  seatsOnSide,
+}
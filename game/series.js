@@ -0,0 +1,35 @@
+// Best-of-N series: the score carried across rematches between the same seats, kept per side (a seat, or a
+// team in a team room). The first game's starter is drawn at random; after that the seats take turns going first.
+
+const MAX_SERIES_LENGTH = 9
+
+// bestOf is kept odd so a two-sided series can't end level
+function createSeries(bestOf = 1, sides = 2) {
+  return {
+    bestOf: bestOf % 2 === 0 ? bestOf + 1 : bestOf,
+    wins: new Array(sides).fill(0),
+    gamesPlayed: 0,
+    lastStarter: null,
+    winnerIndex: null,
+  }
+}
+
+// The seat that starts the next game, or null for a random draw
+function nextStarter(series, seatCount = 2) {
+  return series.lastStarter === null ? null : (series.lastStarter + 1) % seatCount
+}
+
+// Count a game won by a side; returns true if it decided the series
+function recordSeriesGame(series, side) {
+  series.gamesPlayed++
+  series.wins[side]++
+  if (series.wins[side] > series.bestOf / 2) series.winnerIndex = side
+  return series.winnerIndex !== null
+}
+
+module.exports = {
+  MAX_SERIES_LENGTH,
+  createSeries,
+  nextStarter,
+  recordSeriesGame,
+}
@@ -0,0 +1,44 @@
+const express = require("express")
+const http = require("http")
+const socketIo = require("socket.io")
+const cors = require("cors")
+const { resolveConfig } = require("./config")
+const { createGameCore } = require("./core")
+const { createMatchRoutes } = require("./routes/matches")
+const { createLeaderboardRoutes } = require("./routes/leaderboard")
+const { createAccountRoutes } = require("./routes/accounts")
+const { createTournamentRoutes } = require("./routes/tournaments")
+const { createAdminRoutes } = require("./routes/admin")
+const { createHealthRoutes } = require("./routes/health")
+
+// Build the Express app, HTTP server and Socket.IO server that a deployment target listens on
+function createGameServer(overrides = {}) {
+  const config = resolveConfig(overrides)
+
+  const app = express()
+  const server = http.createServer(app)
+  const io = socketIo(server, {
+    cors: {
+      origin: config.allowedOrigins,
+      methods: ["GET", "POST"],
+    },
+  })
+
+  app.use(cors({ origin: config.allowedOrigins }))
+  app.use(express.json())
+
+  const core = createGameCore(io, config)
+
+  app.use(createHealthRoutes(core))
+  app.use(createMatchRoutes(core))
+  app.use(createLeaderboardRoutes(core))
+  app.use(createAccountRoutes(core))
+  app.use(createTournamentRoutes(core))
+  app.use(createAdminRoutes(core))
+
+  return { app, server, io, core, config }
+}
+
+module.exports = {
+  createGameServer,
+}
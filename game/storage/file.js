@@ -0,0 +1,64 @@
+const fs = require("fs")
+const path = require("path")
+const { createMemoryStore } = require("./memory")
+
+// File-backed storage: works from an in-memory copy and rewrites a JSON snapshot of every room, account and
+// rating after each change.
+// Seated players are saved inside their room; lobby players and spectators only matter while their socket is open.
+function createFileStore(filePath) {
+  const store = createMemoryStore()
+
+  if (fs.existsSync(filePath)) {
+    const { rooms = [], accounts = [], ratings = {} } = JSON.parse(fs.readFileSync(filePath, "utf8"))
+    rooms.forEach((room) => {
+      store.saveRoom(room)
+      room.players.forEach((player) => store.savePlayer(player))
+    })
+    accounts.forEach((account) => store.saveAccount(account))
+    Object.entries(ratings).forEach(([gameMode, entries]) => {
+      Object.entries(entries).forEach(([playerKey, entry]) => store.saveRating(gameMode, playerKey, entry))
+    })
+    console.log(`💾 Loaded ${rooms.length} rooms and ${accounts.length} accounts from ${filePath}`)
+  }
+
+  // Write to a temporary file and rename it over the old snapshot, so a crash mid-write can't corrupt it
+  function persist() {
+    const rooms = store.listRooms().map((room) => ({ ...room, spectators: [] }))
+    const tempPath = `${filePath}.tmp`
+    fs.mkdirSync(path.dirname(filePath), { recursive: true })
+    fs.writeFileSync(
+      tempPath,
+      JSON.stringify({ rooms, accounts: store.listAccounts(), ratings: store.exportRatings() }),
+    )
+    fs.renameSync(tempPath, filePath)
+  }
+
+  return {
+    ...store,
+    saveRoom: (room) => {
+      store.saveRoom(room)
+      persist()
+    },
+    deleteRoom: (roomId) => {
+      store.deleteRoom(roomId)
+      persist()
+    },
+    saveAccount: (account) => {
+      store.saveAccount(account)
+      persist()
+    },
+    saveRating: (gameMode, playerKey, entry) => {
+      store.saveRating(gameMode, playerKey, entry)
+      persist()
+    },
+    updateTurn: (roomId, expectedTurn, apply) => {
+      const update = store.updateTurn(roomId, expectedTurn, apply)
+      if (update.applied) persist()
+      return update
+    },
+  }
+}
+
+module.exports = {
+  createFileStore,
+}
@@ -0,0 +1,20 @@
+const { createMemoryStore } = require("./memory")
+const { createFileStore } = require("./file")
+
+// Storage adapters share one interface:
+//   getRoom(id), listRooms(), saveRoom(room), deleteRoom(id)
+//   getPlayer(id), savePlayer(player), deletePlayer(id)
+//   getAccount(id), findAccountByUsername(username), listAccounts(), saveAccount(account)
+//   getRating(gameMode, playerKey), listRatings(gameMode), saveRating(gameMode, playerKey, entry)
+//   updateTurn(roomId, expectedTurn, apply) -> { applied, result }
+// They hand back the live objects they hold, not copies: the game engine mutates rooms and players in place and
+// relies on every lookup seeing those changes. config.storageFile picks the file store over the in-memory one.
+function createStore(config) {
+  return config.storageFile ? createFileStore(config.storageFile) : createMemoryStore()
+}
+
+module.exports = {
+  createStore,
+  createMemoryStore,
+  createFileStore,
+}
@@ -0,0 +1,61 @@
+// In-process storage: rooms, players, accounts and ratings live in Maps and are lost when the process exits.
+// Rooms hold their seated players by reference, so a player looked up here is the same object as in room.players.
+function createMemoryStore() {
+  const rooms = new Map()
+  const players = new Map()
+  const accounts = new Map()
+  const ratings = new Map() // gameMode -> Map(playerKey -> rating entry)
+
+  function ratingsFor(gameMode) {
+    if (!ratings.has(gameMode)) ratings.set(gameMode, new Map())
+    return ratings.get(gameMode)
+  }
+
+  return {
+    getRoom: (roomId) => rooms.get(roomId),
+    listRooms: () => Array.from(rooms.values()),
+    saveRoom: (room) => {
+      rooms.set(room.id, room)
+    },
+    deleteRoom: (roomId) => {
+      rooms.delete(roomId)
+    },
+
+    getPlayer: (playerId) => players.get(playerId),
+    savePlayer: (player) => {
+      players.set(player.id, player)
+    },
+    deletePlayer: (playerId) => {
+      players.delete(playerId)
+    },
+
+    getAccount: (accountId) => accounts.get(accountId),
+    findAccountByUsername: (username) =>
+      Array.from(accounts.values()).find((account) => account.username.toLowerCase() === username.toLowerCase()),
+    listAccounts: () => Array.from(accounts.values()),
+    saveAccount: (account) => {
+      accounts.set(account.id, account)
+    },
+
+    getRating: (gameMode, playerKey) => ratingsFor(gameMode).get(playerKey),
+    listRatings: (gameMode) => Array.from(ratingsFor(gameMode).values()),
+    saveRating: (gameMode, playerKey, entry) => {
+      ratingsFor(gameMode).set(playerKey, entry)
+    },
+    // Every rating as { gameMode: { playerKey: entry } }, for adapters that snapshot the whole store
+    exportRatings: () =>
+      Object.fromEntries(Array.from(ratings, ([gameMode, entries]) => [gameMode, Object.fromEntries(entries)])),
+
+    // Apply a game action only if the room is still on the turn the caller saw.
+    // Returns { applied: false } when another action got there first.
+    updateTurn: (roomId, expectedTurn, apply) => {
+      const room = rooms.get(roomId)
+      if (!room || room.turn !== expectedTurn) return { applied: false }
+      return { applied: true, result: apply(room) }
+    },
+  }
+}
+
+module.exports = {
+  createMemoryStore,
+}
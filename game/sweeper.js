@@ -0,0 +1,48 @@
+// Room garbage collection: every room records when it was created, started, ended and last saw activity.
+// A periodic sweep closes rooms idle past the limit for their state, after telling everyone in them why.
+
+const DEFAULT_ROOM_TTLS = {
+  // A room waiting for a second player
+  waitingMs: 10 * 60 * 1000,
+  // A game in progress where nobody has acted, e.g. with the turn clock off
+  playingMs: 15 * 60 * 1000,
+  // A finished game whose players never left or asked for a rematch
+  endedMs: 5 * 60 * 1000,
+  sweepIntervalMs: 60 * 1000,
+}
+
+function createRoomSweeper(core) {
+  const ttls = { ...DEFAULT_ROOM_TTLS, ...core.config.roomTtls }
+
+  function ttlFor(room) {
+    return ttls[`${room.gameState}Ms`]
+  }
+
+  function sweep() {
+    const now = Date.now()
+    core.store.listRooms().forEach((room) => {
+      const ttl = ttlFor(room)
+      if (!ttl || now - room.lastActivityAt < ttl) return
+
+      console.log(
+        `🧹 Expiring ${room.gameState} room ${room.name} (${room.id}), idle since ${new Date(room.lastActivityAt).toISOString()}`,
+      )
+      core.io
+        .to(room.id)
+        .emit("roomExpired", { roomId: room.id, gameState: room.gameState, idleMs: now - room.lastActivityAt })
+      core.closeRoom(room, "expired")
+    })
+  }
+
+  const timer = setInterval(sweep, ttls.sweepIntervalMs)
+
+  return {
+    sweep,
+    stop: () => clearInterval(timer),
+  }
+}
+
+module.exports = {
+  DEFAULT_ROOM_TTLS,
+  createRoomSweeper,
+}
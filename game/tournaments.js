@@ -0,0 +1,309 @@
+const { v4: uuidv4 } = require("uuid")
+
+// Tournaments: an organizer enters registered players into a single-elimination bracket or a round robin.
+// Each pairing is played as a best-of-N series in a room opened as soon as both players are online and free,
+// and the result is read off the room's series when its games end.
+
+const TOURNAMENT_FORMATS = {
+  SINGLE_ELIMINATION: "singleElimination",
+  ROUND_ROBIN: "roundRobin",
+}
+
+const MIN_TOURNAMENT_PLAYERS = 2
+const MAX_TOURNAMENT_PLAYERS = 32
+const TOURNAMENT_TICK_MS = 1000
+// Pause between games of a series so players can see the result
+const NEXT_GAME_DELAY_MS = 5000
+
+function createMatch(round, players) {
+  return { id: uuidv4(), round, players, winner: null, roomId: null, status: "pending" }
+}
+
+// Rounds of a bracket sized up to a power of two. Round one pairs seed 1 with the lowest seed and so on;
+// a seed without an opponent gets a bye. Later rounds are filled in as their feeder matches finish.
+function buildBracket(entrants) {
+  let size = 2
+  while (size < entrants.length) size *= 2
+
+  const firstRound = []
+  for (let i = 0; i < size / 2; i++) {
+    const match = createMatch(1, [entrants[i] || null, entrants[size - 1 - i] || null])
+    if (!match.players[1]) {
+      match.status = "bye"
+      match.winner = match.players[0]
+    }
+    firstRound.push(match)
+  }
+
+  const rounds = [firstRound]
+  for (let matches = size / 4; matches >= 1; matches /= 2) {
+    rounds.push(Array.from({ length: matches }, () => createMatch(rounds.length + 1, [null, null])))
+  }
+  return rounds
+}
+
+// Circle method: one player stays put while the rest rotate, so everyone meets everyone exactly once
+function buildRoundRobin(entrants) {
+  const seats = entrants.length % 2 === 0 ? [...entrants] : [...entrants, null]
+  const rounds = []
+
+  for (let round = 0; round < seats.length - 1; round++) {
+    const matches = []
+    for (let i = 0; i < seats.length / 2; i++) {
+      const players = [seats[i], seats[seats.length - 1 - i]]
+      if (players[0] && players[1]) matches.push(createMatch(round + 1, players))
+    }
+    rounds.push(matches)
+    seats.splice(1, 0, seats.pop())
+  }
+  return rounds
+}
+
+// Wins and losses per entrant, best first. Ties keep seeding order.
+function standings(tournament) {
+  const records = tournament.players.map((player) => ({ ...player, wins: 0, losses: 0 }))
+  tournament.rounds.flat().forEach((match) => {
+    if (match.status !== "finished") return
+    records.find((r) => r.accountId === match.winner).wins++
+    records.find((r) => r.accountId !== match.winner && match.players.includes(r.accountId)).losses++
+  })
+  return records.sort((a, b) => b.wins - a.wins || a.losses - b.losses)
+}
+
+function projectTournament(tournament) {
+  return {
+    id: tournament.id,
+    name: tournament.name,
+    format: tournament.format,
+    gameMode: tournament.gameMode,
+    bestOf: tournament.bestOf,
+    organizer: tournament.organizer,
+    status: tournament.status,
+    createdAt: tournament.createdAt,
+    winner: tournament.winner,
+    players: tournament.players,
+    rounds: tournament.rounds,
+    standings: standings(tournament),
+  }
+}
+
+function createTournamentManager(core) {
+  const tournaments = new Map() // tournamentId -> tournament
+  let tickTimer = null
+
+  // entrants: [{ accountId, username }] in seeding order
+  function create({ name, format, gameMode, bestOf, organizer, entrants }) {
+    const ids = entrants.map((entrant) => entrant.accountId)
+    const tournament = {
+      id: uuidv4(),
+      name,
+      format,
+      gameMode,
+      bestOf,
+      organizer,
+      status: "running",
+      createdAt: Date.now(),
+      winner: null,
+      players: entrants,
+      rounds: format === TOURNAMENT_FORMATS.ROUND_ROBIN ? buildRoundRobin(ids) : buildBracket(ids),
+    }
+    tournaments.set(tournament.id, tournament)
+
+    if (format === TOURNAMENT_FORMATS.SINGLE_ELIMINATION) advanceBracket(tournament)
+    console.log(`🏆 Tournament ${name} (${format}) created with ${entrants.length} players`)
+
+    broadcast(tournament)
+    startTicking()
+    return tournament
+  }
+
+  function get(tournamentId) {
+    return tournaments.get(tournamentId)
+  }
+
+  function list() {
+    return Array.from(tournaments.values())
+  }
+
+  // Connected sockets of the given accounts
+  function socketsOf(accountIds) {
+    return Array.from(core.io.sockets.sockets.values()).filter((socket) => {
+      const player = core.store.getPlayer(socket.id)
+      return player && accountIds.includes(player.accountId)
+    })
+  }
+
+  function broadcast(tournament) {
+    const ids = [tournament.organizer.accountId, ...tournament.players.map((p) => p.accountId)]
+    const payload = projectTournament(tournament)
+    socketsOf(ids).forEach((socket) => core.io.to(socket.id).emit("tournamentUpdated", payload))
+  }
+
+  // A player signed in to the account, connected and not sat down in another room
+  function findAvailablePlayer(accountId) {
+    const socket = socketsOf([accountId]).find((s) => {
+      const player = core.store.getPlayer(s.id)
+      return player.connected && !player.roomId
+    })
+    return socket ? core.store.getPlayer(socket.id) : null
+  }
+
+  function startTicking() {
+    if (!tickTimer) tickTimer = setInterval(tick, TOURNAMENT_TICK_MS)
+  }
+
+  function tick() {
+    const running = list().filter((tournament) => tournament.status === "running")
+    running.forEach((tournament) => {
+      tournament.rounds.flat().forEach((match) => {
+        if (match.status !== "pending" || !match.players[0] || !match.players[1]) return
+
+        const seated = match.players.map(findAvailablePlayer)
+        if (seated[0] && seated[1]) startTournamentMatch(tournament, match, seated)
+      })
+    })
+
+    if (running.length === 0) {
+      clearInterval(tickTimer)
+      tickTimer = null
+    }
+  }
+
+  function startTournamentMatch(tournament, match, [first, second]) {
+    const room = core.openRoom(first, {
+      roomName: `${tournament.name} - Round ${match.round}`,
+      gameMode: tournament.gameMode,
+      bestOf: tournament.bestOf,
+      tournament: { id: tournament.id, matchId: match.id },
+    })
+    core.seatPlayer(room, second)
+    match.roomId = room.id
+    match.status = "playing"
+
+    ;[
+      [first, second],
+      [second, first],
+    ].forEach(([player, opponent]) => {
+      core.io.sockets.sockets.get(player.id)?.join(room.id)
+      core.io.to(player.id).emit("tournamentMatchReady", {
+        tournamentId: tournament.id,
+        matchId: match.id,
+        roomId: room.id,
+        round: match.round,
+        opponent: { id: opponent.id, name: opponent.name },
+      })
+    })
+
+    console.log(`🏆 ${tournament.name}: ${first.name} vs ${second.name} (round ${match.round})`)
+    core.io.emit("roomsUpdated")
+    core.startGame(room.id)
+    broadcast(tournament)
+  }
+
+  function findMatch(room) {
+    const tournament = room.tournament && tournaments.get(room.tournament.id)
+    const match = tournament && tournament.rounds.flat().find((m) => m.id === room.tournament.matchId)
+    return match && match.status === "playing" ? { tournament, match } : {}
+  }
+
+  // Move bracket winners into their slots in the next round. Byes only happen in round one, since the
+  // bracket is only ever short of players there.
+  function advanceBracket(tournament) {
+    tournament.rounds.slice(1).forEach((round, r) => {
+      const previous = tournament.rounds[r]
+      round.forEach((match, i) => {
+        if (match.status === "pending") match.players = [previous[i * 2].winner, previous[i * 2 + 1].winner]
+      })
+    })
+  }
+
+  function finishMatch(tournament, match, winnerAccountId) {
+    match.status = "finished"
+    match.winner = winnerAccountId
+
+    if (tournament.format === TOURNAMENT_FORMATS.SINGLE_ELIMINATION) {
+      advanceBracket(tournament)
+      const final = tournament.rounds[tournament.rounds.length - 1][0]
+      if (final.winner) tournament.winner = final.winner
+    } else if (tournament.rounds.flat().every((m) => m.status === "finished")) {
+      tournament.winner = standings(tournament)[0].accountId
+    }
+
+    if (tournament.winner) {
+      tournament.status = "finished"
+      console.log(
+        `🏆 ${tournament.name} won by ${tournament.players.find((p) => p.accountId === tournament.winner).username}`,
+      )
+    }
+    broadcast(tournament)
+  }
+
+  // Let both players go so they can be seated for their next match. Runs after the gameEnded broadcast.
+  function releaseRoom(roomId) {
+    setImmediate(() => {
+      const room = core.store.getRoom(roomId)
+      if (!room) return
+      room.players.slice().forEach((player) => {
+        core.io.sockets.sockets.get(player.id)?.leave(room.id)
+        core.removePlayerFromRoom(player)
+      })
+    })
+  }
+
+  // A decided series finishes the match; otherwise the next game starts after a short pause
+  core.events.on("gameEnded", (room) => {
+    const { tournament, match } = findMatch(room)
+    if (!match) return
+
+    if (room.series.winnerIndex === null) {
+      setTimeout(() => {
+        const current = core.store.getRoom(room.id)
+        if (current && current.gameState === "ended") core.startGame(room.id)
+      }, NEXT_GAME_DELAY_MS)
+      return
+    }
+
+    finishMatch(tournament, match, room.players[room.series.winnerIndex].accountId)
+    releaseRoom(room.id)
+  })
+
+  // A room shut down from outside the game (by an admin) forfeits nobody: the match goes back to waiting
+  // for both players to be free again
+  core.events.on("roomClosing", (room) => {
+    const { tournament, match } = findMatch(room)
+    if (!match) return
+
+    match.status = "pending"
+    match.roomId = null
+    room.tournament = null
+    broadcast(tournament)
+  })
+
+  // Leaving a tournament match, or not reconnecting in time, forfeits it
+  core.events.on("playerLeft", (room, player) => {
+    const { tournament, match } = findMatch(room)
+    if (!match) return
+
+    console.log(`🏳️ ${player.name} forfeited their ${tournament.name} match`)
+    finishMatch(
+      tournament,
+      match,
+      match.players.find((accountId) => accountId !== player.accountId),
+    )
+    releaseRoom(room.id)
+  })
+
+  return {
+    create,
+    get,
+    list,
+  }
+}
+
+module.exports = {
+  TOURNAMENT_FORMATS,
+  MIN_TOURNAMENT_PLAYERS,
+  MAX_TOURNAMENT_PLAYERS,
+  projectTournament,
+  createTournamentManager,
+}